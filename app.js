@@ -2,6 +2,7 @@ require('dotenv').config();
 const { Client, GatewayIntentBits, Collection } = require('discord.js');
 const fs = require('fs');
 const path = require('path');
+const { startTracker } = require('./utils/tracker');
 
 const client = new Client({
     intents: [
@@ -31,6 +32,7 @@ for (const file of commandFiles) {
 client.once('ready', () => {
     console.log(`✅ Logged in as ${client.user.tag}!`);
     console.log(`📊 Ready to serve ${client.guilds.cache.size} servers`);
+    startTracker(client);
 });
 
 // Interaction handler
@@ -58,6 +60,18 @@ client.on('interactionCreate', async interaction => {
         }
     }
     
+    // Handle autocomplete suggestions
+    if (interaction.isAutocomplete()) {
+        const command = client.commands.get(interaction.commandName);
+        if (command && command.autocomplete) {
+            try {
+                await command.autocomplete(interaction);
+            } catch (error) {
+                console.error('Error handling autocomplete:', error);
+            }
+        }
+    }
+
     // Handle button interactions
     if (interaction.isButton()) {
         const command = client.commands.get(interaction.customId.split('_')[0]);
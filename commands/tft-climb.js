@@ -1,159 +1,94 @@
 const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require('discord.js');
 const Canvas = require('@napi-rs/canvas');
-const fetch = require('node-fetch');
+const { getRegion, regionOption } = require('../utils/regions');
+const { riotIdOption, userOption, resolvePlayer, autocompleteRiotId } = require('../utils/players');
+const riotApi = require('../utils/riot-api');
+const matchStore = require('../utils/match-store');
+const lpHistory = require('../utils/lp-history');
+const { RANKED_QUEUES, rankedQueueOption } = require('../utils/queues');
+const { getTierFromTotalLP, getRatedTier, getEntryValue } = require('../utils/ranks');
+const { PLACEMENT_SUFFIX, participantName } = require('../utils/match-card');
+const { getProfileIconId } = require('../utils/profile-icons');
+const { loadImageWithCache, font, drawBackground, resolveTheme, themeOption } = require('../utils/renderer');
+const { getCurrentSet, getMatchSet, formatSet } = require('../utils/sets');
+const { profileIconUrl } = require('../utils/static-data');
+const guildConfig = require('../utils/guild-config');
+
+// Graph point colors: Double Up teams place 1-4, solo queues 1-8
+const TEAM_PLACEMENT_COLORS = { 1: '#FFD700', 2: '#00FF00', 3: '#FFFF00', 4: '#FF0000' };
+const SOLO_PLACEMENT_COLORS = {
+    1: '#FFD700', 2: '#00FF00', 3: '#7FFF00', 4: '#FFFF00',
+    5: '#FFA500', 6: '#FF7F50', 7: '#FF4500', 8: '#FF0000'
+};
 
-// Cache for profile icons
-const iconCache = new Map();
-const ICON_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+// Estimated LP (or rating) change per placement, used when no snapshots cover a game.
+// Double Up teams gain LP for 1st and 2nd and lose it for 3rd and 4th.
+const TEAM_LP_CHANGES = { 1: 35, 2: 20, 3: -15, 4: -30 };
+const SOLO_LP_CHANGES = { 1: 40, 2: 30, 3: 20, 4: 10, 5: -10, 6: -20, 7: -30, 8: -40 };
+const RATING_CHANGES = { 1: 120, 2: 80, 3: 40, 4: 20, 5: -20, 6: -40, 7: -60, 8: -80 };
 
-async function loadImageWithCache(url) {
-    const cached = iconCache.get(url);
-    if (cached && (Date.now() - cached.timestamp < ICON_CACHE_TTL)) {
-        return cached.image;
-    }
-    
-    try {
-        const image = await Canvas.loadImage(url);
-        iconCache.set(url, { image, timestamp: Date.now() });
-        return image;
-    } catch (error) {
-        console.error(`Failed to load image ${url}:`, error.message);
-        return null;
+// Tier label for a value on the graph: Hyper Roll tier for ratings, tier/division/LP otherwise
+function describeValue(queue, value) {
+    if (queue.rated) {
+        return { tier: getRatedTier(value).name, rank: '', lp: value };
     }
+    return getTierFromTotalLP(value);
 }
 
-// Rank tier values for LP calculation
-const RANK_TIERS = {
-    'IRON': { base: 0, divisions: { 'IV': 0, 'III': 100, 'II': 200, 'I': 300 } },
-    'BRONZE': { base: 400, divisions: { 'IV': 0, 'III': 100, 'II': 200, 'I': 300 } },
-    'SILVER': { base: 800, divisions: { 'IV': 0, 'III': 100, 'II': 200, 'I': 300 } },
-    'GOLD': { base: 1200, divisions: { 'IV': 0, 'III': 100, 'II': 200, 'I': 300 } },
-    'PLATINUM': { base: 1600, divisions: { 'IV': 0, 'III': 100, 'II': 200, 'I': 300 } },
-    'EMERALD': { base: 2000, divisions: { 'IV': 0, 'III': 100, 'II': 200, 'I': 300 } },
-    'DIAMOND': { base: 2400, divisions: { 'IV': 0, 'III': 100, 'II': 200, 'I': 300 } },
-    'MASTER': { base: 2800, divisions: { 'I': 0 } },
-    'GRANDMASTER': { base: 2900, divisions: { 'I': 0 } },
-    'CHALLENGER': { base: 3000, divisions: { 'I': 0 } }
-};
-
-function calculateTotalLP(tier, rank, lp) {
-    const tierData = RANK_TIERS[tier];
-    if (!tierData) return 0;
-    
-    const divisionLP = tierData.divisions[rank] || 0;
-    return tierData.base + divisionLP + lp;
-}
-
-function getTierFromTotalLP(totalLP) {
-    for (const [tier, data] of Object.entries(RANK_TIERS).reverse()) {
-        if (totalLP >= data.base) {
-            const lpInTier = totalLP - data.base;
-            const divisions = Object.entries(data.divisions).reverse();
-            
-            for (const [division, divLP] of divisions) {
-                if (lpInTier >= divLP) {
-                    const lp = lpInTier - divLP;
-                    return { tier, rank: division, lp: Math.min(lp, 99) };
-                }
-            }
-        }
-    }
-    return { tier: 'IRON', rank: 'IV', lp: 0 };
+function formatValue(queue, value) {
+    if (queue.rated) return `${getRatedTier(value).name} - ${value} Rating`;
+    const { tier, rank, lp } = getTierFromTotalLP(value);
+    return `${tier} ${rank} - ${lp} LP`;
 }
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('tft-climb')
-        .setDescription('Visualize your TFT Double Up ranked climb with your duo partner')
-        .addStringOption(option =>
-            option.setName('riotid')
-                .setDescription('Riot ID (e.g., Kuromi#NA1)')
-                .setRequired(true))
+        .setDescription('Visualize your TFT ranked climb (Ranked, Double Up or Hyper Roll)')
+        .addStringOption(riotIdOption)
+        .addUserOption(userOption)
         .addIntegerOption(option =>
             option.setName('matches')
                 .setDescription('Number of matches to analyze (10-100)')
                 .setMinValue(10)
                 .setMaxValue(100)
-                .setRequired(false)),
+                .setRequired(false))
+        .addStringOption(rankedQueueOption)
+        .addStringOption(regionOption)
+        .addStringOption(themeOption),
+
+    autocomplete: autocompleteRiotId,
 
     async execute(interaction) {
-        await interaction.deferReply();
+        await guildConfig.deferReply(interaction);
 
-        const riotId = interaction.options.getString('riotid');
-        const matchCount = interaction.options.getInteger('matches') || 50;
-        const apiKey = process.env.RIOT_API_KEY;
+        const matchCount = interaction.options.getInteger('matches') || await guildConfig.getMatchCount(interaction.guildId, 'tft-climb');
+        const queue = RANKED_QUEUES[interaction.options.getString('queue') || 'doubleup'];
+        const unit = queue.rated ? 'Rating' : 'LP';
 
         try {
-            // Parse Riot ID
-            const [gameName, tagLine] = riotId.split('#');
-            if (!gameName || !tagLine) {
-                await interaction.editReply('❌ Invalid Riot ID format. Use: Name#TAG (e.g., Doublelift#NA1)');
-                return;
-            }
-
-            // Fetch account
-            const accountRes = await fetch(
-                `https://americas.api.riotgames.com/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}?api_key=${apiKey}`
-            );
-            
-            if (!accountRes.ok) {
-                await interaction.editReply('❌ Riot ID not found.');
-                return;
-            }
-            
-            const account = await accountRes.json();
-
-            // Fetch summoner
-            const summonerRes = await fetch(
-                `https://na1.api.riotgames.com/tft/summoner/v1/summoners/by-puuid/${account.puuid}?api_key=${apiKey}`
-            );
-            
-            if (!summonerRes.ok) {
-                await interaction.editReply('❌ Summoner not found.');
+            const player = await resolvePlayer(interaction);
+            if (player.error) {
+                await interaction.editReply(player.error);
                 return;
             }
             
-            const summoner = await summonerRes.json();
-            summoner.gameName = account.gameName;
-            summoner.tagLine = account.tagLine;
+            const { summoner, region } = player;
 
             // Fetch current ranked stats using by-puuid endpoint (returns all queues)
-            const rankedRes = await fetch(
-                `https://na1.api.riotgames.com/tft/league/v1/by-puuid/${account.puuid}?api_key=${apiKey}`
-            );
-            
-            if (!rankedRes.ok) {
-                await interaction.editReply('❌ Could not fetch ranked data.');
-                return;
-            }
-            
-            const rankedStats = await rankedRes.json();
-            
-            // Find Double Up ranked queue
-            // The API returns different queueType values, could be "RANKED_TFT_PAIRS" or similar
-            // We'll check if any ranked data exists and let the match history determine if they have Double Up games
-            let currentRank = rankedStats.find(queue => 
-                queue.queueType && queue.queueType.includes('PAIRS')
-            );
-            
-            // If no Double Up rank found, we'll try to estimate from match history
-            if (!currentRank && rankedStats.length > 0) {
-                // Use any available ranked data as fallback
-                currentRank = rankedStats[0];
-            }
+            const rankedStats = await lpHistory.fetchEntries(region, summoner.puuid);
             
+            const currentRank = rankedStats.find(entry => entry.queueType === queue.leagueQueue);
+
             if (!currentRank) {
-                await interaction.editReply('❌ No ranked data found for this summoner.');
+                await interaction.editReply(`❌ No ${queue.name} rank found for this summoner.`);
                 return;
             }
 
             // Fetch match IDs
-            const matchesRes = await fetch(
-                `https://americas.api.riotgames.com/tft/match/v1/matches/by-puuid/${summoner.puuid}/ids?count=${matchCount}&api_key=${apiKey}`
-            );
-            const matchIds = await matchesRes.json();
+            const matchIds = await riotApi.getMatchIds(region, summoner.puuid, matchCount);
 
-            if (!matchIds || matchIds.length === 0) {
+            if (matchIds.length === 0) {
                 await interaction.editReply('❌ No recent matches found.');
                 return;
             }
@@ -162,117 +97,101 @@ module.exports = {
             const matchHistory = []; // Store all matches first
             const duoPartners = new Map();
             
-            // Set 16 launch date (December 3rd, 2025)
-            const set16LaunchDate = new Date('2025-12-03T00:00:00Z').getTime();
+            // Load matches from the local store, fetching only ones we haven't seen
+            const matches = await matchStore.loadMatches(region, matchIds);
+
+            // Ranked resets when a new set launches, so only the newest match's set counts
+            const season = getCurrentSet(matches);
 
             for (let i = 0; i < matchIds.length; i++) {
                 const matchId = matchIds[i];
+                const match = matches[i];
                 
                 try {
-                    const matchRes = await fetch(
-                        `https://americas.api.riotgames.com/tft/match/v1/matches/${matchId}?api_key=${apiKey}`
-                    );
-                    
-                    if (!matchRes.ok) continue;
-                    
-                    const match = await matchRes.json();
+                    if (!match) continue;
                     
-                    // Skip games from before Set 16 launch (rank reset)
-                    if (match.info.game_datetime < set16LaunchDate) {
+                    // Skip games from earlier sets (rank reset)
+                    if (getMatchSet(match.info).number !== season.number) {
                         continue;
                     }
                     
-                    // Only process Double Up games
-                    if (match.info.tft_game_type !== 'pairs') continue;
+                    // Only process games from the selected queue
+                    if (match.info.queue_id !== queue.queueId) continue;
                     
                     const playerData = match.info.participants.find(p => p.puuid === summoner.puuid);
                     if (!playerData) continue;
 
-                    // Find duo partner using Double Up placement logic
-                    const teamPlacement = Math.ceil(playerData.placement / 2);
-                    const partner = match.info.participants.find(
-                        p => p.puuid !== summoner.puuid && Math.ceil(p.placement / 2) === teamPlacement
+                    // Double Up ranks teams, so the partner shares our team placement
+                    const placement = queue.teams ? Math.ceil(playerData.placement / 2) : playerData.placement;
+                    const partner = queue.teams && match.info.participants.find(
+                        p => p.puuid !== summoner.puuid && Math.ceil(p.placement / 2) === placement
                     );
 
                     if (partner) {
-                        const partnerKey = partner.puuid;
-                        if (!duoPartners.has(partnerKey)) {
-                            // Fetch partner account info
-                            try {
-                                const partnerSummonerRes = await fetch(
-                                    `https://na1.api.riotgames.com/tft/summoner/v1/summoners/by-puuid/${partner.puuid}?api_key=${apiKey}`
-                                );
-                                if (partnerSummonerRes.ok) {
-                                    const partnerSummoner = await partnerSummonerRes.json();
-                                    
-                                    const partnerAccountRes = await fetch(
-                                        `https://americas.api.riotgames.com/riot/account/v1/accounts/by-puuid/${partner.puuid}?api_key=${apiKey}`
-                                    );
-                                    if (partnerAccountRes.ok) {
-                                        const partnerAccount = await partnerAccountRes.json();
-                                        duoPartners.set(partnerKey, {
-                                            name: `${partnerAccount.gameName}#${partnerAccount.tagLine}`,
-                                            iconId: partnerSummoner.profileIconId,
-                                            count: 0
-                                        });
-                                    }
-                                }
-                            } catch (e) {
-                                console.error('Failed to fetch partner info:', e);
-                            }
-                        }
-                        
-                        if (duoPartners.has(partnerKey)) {
-                            duoPartners.get(partnerKey).count++;
+                        // Names come from the stored match; icons are looked up once below
+                        if (!duoPartners.has(partner.puuid)) {
+                            duoPartners.set(partner.puuid, { name: participantName(partner), iconId: 0, count: 0 });
                         }
+                        duoPartners.get(partner.puuid).count++;
                     }
 
                     // Store match data
-                    let lpChange = 0;
-                    
-                    if (teamPlacement === 1) lpChange = 35;
-                    else if (teamPlacement === 2) lpChange = 25;
-                    else if (teamPlacement === 3) lpChange = 15;
-                    else if (teamPlacement === 4) lpChange = 10;
-                    else if (teamPlacement === 5) lpChange = -10;
-                    else if (teamPlacement === 6) lpChange = -15;
-                    else if (teamPlacement === 7) lpChange = -25;
-                    else if (teamPlacement === 8) lpChange = -35;
+                    const lpChanges = queue.rated ? RATING_CHANGES : queue.teams ? TEAM_LP_CHANGES : SOLO_LP_CHANGES;
 
                     matchHistory.push({
+                        matchId,
                         timestamp: match.info.game_datetime,
-                        teamPlacement: teamPlacement,
-                        lpChange: lpChange,
+                        placement,
+                        lpChange: lpChanges[placement] || 0,
                         partner: partner ? partner.puuid : null
                     });
 
-                    // Small delay to avoid rate limiting
-                    await new Promise(resolve => setTimeout(resolve, 50));
-
                 } catch (error) {
                     console.error(`Error processing match ${matchId}:`, error);
                     continue;
                 }
             }
 
+            for (const [puuid, partner] of duoPartners) {
+                partner.iconId = await getProfileIconId(region, puuid);
+            }
+
             if (matchHistory.length === 0) {
-                await interaction.editReply('❌ No Double Up matches found since December 3rd, 2025.');
+                await interaction.editReply(`❌ No ${queue.name} matches found in ${formatSet(season)}.`);
                 return;
             }
 
             // Sort by timestamp (oldest first)
             matchHistory.sort((a, b) => a.timestamp - b.timestamp);
 
+            // Replace the estimated LP table with real deltas wherever LP snapshots
+            // bracket the matches
+            const snapshots = await lpHistory.getSnapshots(summoner.puuid, currentRank.queueType);
+            const actualLP = lpHistory.attributeLP(snapshots, matchHistory);
+
+            for (const match of matchHistory) {
+                const actual = actualLP.get(match.matchId);
+                match.estimated = !actual;
+                if (actual) {
+                    match.lpChange = actual.lpChange;
+                    match.totalAfter = actual.totalAfter;
+                }
+            }
+
+            // Walk BACKWARD from current LP, re-anchoring on snapshot values
+            const totalsAfter = new Array(matchHistory.length);
+            let trackingLP = getEntryValue(currentRank);
+            
+            for (let i = matchHistory.length - 1; i >= 0; i--) {
+                const match = matchHistory[i];
+                if (match.totalAfter !== undefined) trackingLP = match.totalAfter;
+                totalsAfter[i] = trackingLP;
+                trackingLP -= match.lpChange;
+            }
+
             // Now build climb data going FORWARD from first game
             const climbData = [];
-            const currentTotalLP = calculateTotalLP(currentRank.tier, currentRank.rank, currentRank.leaguePoints);
-            
-            // Calculate total LP change from all games
-            const totalLPChange = matchHistory.reduce((sum, match) => sum + match.lpChange, 0);
-            
-            // Starting LP = Current LP - Total LP Change
-            let trackingLP = currentTotalLP - totalLPChange;
-            const startRankInfo = getTierFromTotalLP(trackingLP);
+            const startRankInfo = describeValue(queue, trackingLP);
             
             // Add starting point
             climbData.push({
@@ -285,45 +204,53 @@ module.exports = {
                 partner: null
             });
 
-            // Now go through each match in chronological order
             for (let i = 0; i < matchHistory.length; i++) {
                 const match = matchHistory[i];
-                trackingLP += match.lpChange;
-                const rankInfo = getTierFromTotalLP(trackingLP);
+                const rankInfo = describeValue(queue, totalsAfter[i]);
                 
                 climbData.push({
                     gameNumber: i + 1,
-                    totalLP: trackingLP,
+                    totalLP: totalsAfter[i],
                     tier: rankInfo.tier,
                     rank: rankInfo.rank,
                     lp: rankInfo.lp,
-                    placement: match.teamPlacement,
+                    placement: match.placement,
                     lpChange: match.lpChange,
+                    estimated: match.estimated,
                     partner: match.partner,
                     timestamp: match.timestamp
                 });
             }
 
-            const doubleUpCount = matchHistory.length;
+            const gameCount = matchHistory.length;
+            const trackedCount = matchHistory.filter(m => !m.estimated).length;
 
             // Generate graph
-            const canvas = await generateClimbGraph(climbData, summoner, duoPartners);
+            const canvas = await generateClimbGraph(climbData, summoner, duoPartners, queue, await resolveTheme(interaction));
             const attachment = new AttachmentBuilder(canvas.toBuffer('image/png'), { name: 'climb.png' });
 
             // Calculate statistics
             const startLP = climbData[0].totalLP;
             const endLP = climbData[climbData.length - 1].totalLP;
             const netLPGain = endLP - startLP;
-            const avgLPPerGame = doubleUpCount > 0 ? (netLPGain / doubleUpCount).toFixed(1) : '0.0';
+            const avgLPPerGame = gameCount > 0 ? (netLPGain / gameCount).toFixed(1) : '0.0';
 
-            // Calculate placement statistics (Double Up style)
-            const firsts = matchHistory.filter(d => d.teamPlacement === 1).length;
-            const seconds = matchHistory.filter(d => d.teamPlacement === 2).length;
-            const thirds = matchHistory.filter(d => d.teamPlacement === 3).length;
-            const fourths = matchHistory.filter(d => d.teamPlacement === 4).length;
-            
-            const top2Count = firsts + seconds; // Win in Double Up
-            const top2Rate = doubleUpCount > 0 ? ((top2Count / doubleUpCount) * 100).toFixed(1) : '0.0';
+            // Calculate placement statistics (a win is top 2 in Double Up, top 4 otherwise)
+            const placementCounts = {};
+            for (const match of matchHistory) {
+                placementCounts[match.placement] = (placementCounts[match.placement] || 0) + 1;
+            }
+
+            const winCutoff = queue.teams ? 2 : 4;
+            const winCount = matchHistory.filter(d => d.placement <= winCutoff).length;
+            const winRate = gameCount > 0 ? ((winCount / gameCount) * 100).toFixed(1) : '0.0';
+            const avgPlacement = gameCount > 0
+                ? (matchHistory.reduce((sum, d) => sum + d.placement, 0) / gameCount).toFixed(2)
+                : '0.00';
+
+            const placementLines = queue.teams
+                ? [1, 2, 3, 4].map(p => `${p}${PLACEMENT_SUFFIX[p]}s: ${placementCounts[p] || 0}`)
+                : [`1sts: ${placementCounts[1] || 0}`, `Avg Placement: ${avgPlacement}`];
 
             // Get top duo partners
             const topPartners = Array.from(duoPartners.entries())
@@ -332,41 +259,42 @@ module.exports = {
                 .map(([_, data]) => `${data.name} (${data.count} games)`)
                 .join('\n') || 'None';
 
-            const startRankDisplay = `${climbData[0].tier} ${climbData[0].rank} - ${climbData[0].lp} LP`;
-            const endRankDisplay = `${currentRank.tier} ${currentRank.rank} - ${currentRank.leaguePoints} LP`;
+            const startRankDisplay = formatValue(queue, startLP);
+            const endRankDisplay = queue.rated
+                ? formatValue(queue, endLP)
+                : `${currentRank.tier} ${currentRank.rank} - ${currentRank.leaguePoints} LP`;
 
             const embed = new EmbedBuilder()
                 .setColor(netLPGain >= 0 ? '#00FF00' : '#FF0000')
                 .setAuthor({ 
-                    name: `${summoner.gameName}#${summoner.tagLine}`,
-                    iconURL: `http://ddragon.leagueoflegends.com/cdn/15.24.1/img/profileicon/${summoner.profileIconId}.png`
+                    name: `${summoner.gameName}#${summoner.tagLine} [${getRegion(region).label}]`,
+                    iconURL: await profileIconUrl(summoner.profileIconId)
                 })
-                .setTitle(`📈 Double Up Ranked Climb - Last ${doubleUpCount} Games`)
+                .setTitle(`📈 ${queue.name} Climb - Last ${gameCount} Games`)
                 .setDescription(
                     `**Starting Rank:** ${startRankDisplay}\n` +
                     `**Current Rank:** ${endRankDisplay}\n` +
-                    `**Net LP Change:** ${netLPGain >= 0 ? '+' : ''}${netLPGain} LP`
+                    `**Net ${unit} Change:** ${netLPGain >= 0 ? '+' : ''}${netLPGain} ${unit}`
                 )
                 .addFields(
                     { 
                         name: '📊 Placements', 
-                        value: `1sts: ${firsts}\n2nds: ${seconds}\n3rds: ${thirds}\n4ths: ${fourths}\nTop 2 Rate: ${top2Rate}%`,
+                        value: `${placementLines.join('\n')}\nTop ${winCutoff} Rate: ${winRate}%`,
                         inline: true 
                     },
                     { 
                         name: '📈 Performance',
-                        value: `Avg LP/Game: ${avgLPPerGame >= 0 ? '+' : ''}${avgLPPerGame}\nTotal Games: ${doubleUpCount}`,
+                        value: `Avg ${unit}/Game: ${avgLPPerGame >= 0 ? '+' : ''}${avgLPPerGame}\nTotal Games: ${gameCount}\nTracked ${unit}: ${trackedCount}/${gameCount} games`,
                         inline: true
-                    },
-                    { 
-                        name: '👥 Top Duo Partners', 
-                        value: topPartners,
-                        inline: true 
                     }
                 )
                 .setImage('attachment://climb.png')
                 .setTimestamp()
-                .setFooter({ text: `Analyzing ${doubleUpCount} Double Up matches since Dec 3, 2025` });
+                .setFooter({ text: `Analyzing ${gameCount} ${queue.name} matches from ${formatSet(season)}` });
+
+            if (queue.teams) {
+                embed.addFields({ name: '👥 Top Duo Partners', value: topPartners, inline: true });
+            }
 
             await interaction.editReply({ embeds: [embed], files: [attachment] });
 
@@ -377,23 +305,17 @@ module.exports = {
     }
 };
 
-async function generateClimbGraph(climbData, summoner, duoPartners) {
+async function generateClimbGraph(climbData, summoner, duoPartners, queue, theme) {
+    const unit = queue.rated ? 'Rating' : 'LP';
+    const placementColors = queue.teams ? TEAM_PLACEMENT_COLORS : SOLO_PLACEMENT_COLORS;
+
     const width = 1600;
     const height = 900;
     const canvas = Canvas.createCanvas(width, height);
     const ctx = canvas.getContext('2d');
 
     // Background
-    const bg = await loadImageWithCache('https://i.imgur.com/aRoCXLa.png');
-    if (bg) {
-        ctx.drawImage(bg, 0, 0, width, height);
-        // Add semi-transparent overlay for readability
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        ctx.fillRect(0, 0, width, height);
-    } else {
-        ctx.fillStyle = '#1a1a1a';
-        ctx.fillRect(0, 0, width, height);
-    }
+    await drawBackground(ctx, theme, width, height);
 
     // Graph area with more space for legend
     const padding = { top: 80, right: 250, bottom: 100, left: 100 };
@@ -413,24 +335,27 @@ async function generateClimbGraph(climbData, summoner, duoPartners) {
     const displayRange = displayMaxLP - displayMinLP;
 
     // Draw grid lines and labels
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    ctx.strokeStyle = theme.grid;
     ctx.lineWidth = 1;
-    ctx.fillStyle = '#ffffff';
-    ctx.font = '14px Arial';
+    ctx.fillStyle = theme.text;
+    ctx.font = font(14);
     ctx.textAlign = 'right';
 
     const gridLines = 8;
     for (let i = 0; i <= gridLines; i++) {
         const y = padding.top + (graphHeight / gridLines) * i;
         const lpValue = displayMaxLP - (displayRange / gridLines) * i;
-        const rankInfo = getTierFromTotalLP(lpValue);
+        const rankInfo = describeValue(queue, lpValue);
+        const label = queue.rated
+            ? `${rankInfo.tier} ${Math.round(lpValue)}`
+            : `${rankInfo.tier.slice(0, 3)} ${rankInfo.rank}`;
         
         ctx.beginPath();
         ctx.moveTo(padding.left, y);
         ctx.lineTo(padding.left + graphWidth, y);
         ctx.stroke();
 
-        ctx.fillText(`${rankInfo.tier.slice(0, 3)} ${rankInfo.rank}`, padding.left - 10, y + 5);
+        ctx.fillText(label, padding.left - 10, y + 5);
     }
 
     // Draw x-axis (game numbers)
@@ -442,22 +367,24 @@ async function generateClimbGraph(climbData, summoner, duoPartners) {
         ctx.fillText(`Game ${gameNum + 1}`, x, height - padding.bottom + 30);
     }
 
-    // Draw LP line
-    ctx.beginPath();
-    ctx.strokeStyle = '#00D4FF';
+    // Draw LP line, one segment per game: solid where LP snapshots give the
+    // real change, dashed where it had to be estimated
     ctx.lineWidth = 3;
 
-    for (let i = 0; i < climbData.length; i++) {
-        const x = padding.left + (graphWidth / (climbData.length - 1)) * i;
-        const y = padding.top + graphHeight - ((climbData[i].totalLP - displayMinLP) / displayRange) * graphHeight;
+    for (let i = 1; i < climbData.length; i++) {
+        const x1 = padding.left + (graphWidth / (climbData.length - 1)) * (i - 1);
+        const y1 = padding.top + graphHeight - ((climbData[i - 1].totalLP - displayMinLP) / displayRange) * graphHeight;
+        const x2 = padding.left + (graphWidth / (climbData.length - 1)) * i;
+        const y2 = padding.top + graphHeight - ((climbData[i].totalLP - displayMinLP) / displayRange) * graphHeight;
 
-        if (i === 0) {
-            ctx.moveTo(x, y);
-        } else {
-            ctx.lineTo(x, y);
-        }
+        ctx.beginPath();
+        ctx.strokeStyle = climbData[i].estimated ? 'rgba(0, 212, 255, 0.6)' : '#00D4FF';
+        ctx.setLineDash(climbData[i].estimated ? [8, 6] : []);
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
     }
-    ctx.stroke();
+    ctx.setLineDash([]);
 
     // Draw data points with placement colors (Double Up: 1-4 instead of 1-8)
     for (let i = 0; i < climbData.length; i++) {
@@ -465,15 +392,8 @@ async function generateClimbGraph(climbData, summoner, duoPartners) {
         const x = padding.left + (graphWidth / (climbData.length - 1)) * i;
         const y = padding.top + graphHeight - ((data.totalLP - displayMinLP) / displayRange) * graphHeight;
 
-        // Color based on Double Up placement (1-4)
-        if (data.placement) {
-            if (data.placement === 1) ctx.fillStyle = '#FFD700'; // 1st - Gold
-            else if (data.placement === 2) ctx.fillStyle = '#00FF00'; // 2nd - Green (still top 2)
-            else if (data.placement === 3) ctx.fillStyle = '#FFFF00'; // 3rd - Yellow
-            else if (data.placement === 4) ctx.fillStyle = '#FF0000'; // 4th - Red
-        } else {
-            ctx.fillStyle = '#00D4FF'; // Current point
-        }
+        // Color based on placement, the starting point has none
+        ctx.fillStyle = data.placement ? placementColors[data.placement] : '#00D4FF';
 
         ctx.beginPath();
         ctx.arc(x, y, 5, 0, Math.PI * 2);
@@ -482,8 +402,8 @@ async function generateClimbGraph(climbData, summoner, duoPartners) {
         // Draw partner icon at intervals
         if (data.partner && duoPartners.has(data.partner) && i % 3 === 0 && i > 0) {
             const partner = duoPartners.get(data.partner);
-            const iconUrl = `http://ddragon.leagueoflegends.com/cdn/15.24.1/img/profileicon/${partner.iconId}.png`;
-            const icon = await loadImageWithCache(iconUrl);
+            const iconUrl = await profileIconUrl(partner.iconId);
+            const icon = await loadImageWithCache(iconUrl, 'profileIcon');
             
             if (icon) {
                 ctx.save();
@@ -505,62 +425,59 @@ async function generateClimbGraph(climbData, summoner, duoPartners) {
     }
 
     // Title
-    ctx.fillStyle = '#ffffff';
-    ctx.font = 'bold 32px Arial';
+    ctx.fillStyle = theme.text;
+    ctx.font = font(32, 'bold');
     ctx.textAlign = 'center';
-    ctx.fillText('Double Up Ranked Climb', width / 2, 45);
+    ctx.fillText(`${queue.name} Climb`, width / 2, 45);
 
     // Legend
-    ctx.font = '18px Arial';
+    ctx.font = font(18);
     ctx.textAlign = 'left';
     const legendX = width - padding.right + 30;
     let legendY = padding.top;
 
-    ctx.fillStyle = '#ffffff';
+    ctx.fillStyle = theme.text;
     ctx.fillText('Placement:', legendX, legendY);
     legendY += 35;
 
-    // 1st place indicator
-    ctx.fillStyle = '#FFD700';
-    ctx.beginPath();
-    ctx.arc(legendX + 10, legendY, 6, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.fillStyle = '#ffffff';
-    ctx.fillText('1st Place', legendX + 25, legendY + 5);
-    legendY += 35;
-
-    // 2nd place indicator
-    ctx.fillStyle = '#00FF00';
-    ctx.beginPath();
-    ctx.arc(legendX + 10, legendY, 6, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.fillStyle = '#ffffff';
-    ctx.fillText('2nd Place', legendX + 25, legendY + 5);
-    legendY += 35;
+    for (const [place, color] of Object.entries(placementColors)) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(legendX + 10, legendY, 6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = theme.text;
+        ctx.fillText(`${place}${PLACEMENT_SUFFIX[place]} Place`, legendX + 25, legendY + 5);
+        legendY += 35;
+    }
+    legendY += 10;
 
-    // 3rd place indicator
-    ctx.fillStyle = '#FFFF00';
+    // Line style indicators
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = '#00D4FF';
     ctx.beginPath();
-    ctx.arc(legendX + 10, legendY, 6, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.fillStyle = '#ffffff';
-    ctx.fillText('3rd Place', legendX + 25, legendY + 5);
+    ctx.moveTo(legendX, legendY);
+    ctx.lineTo(legendX + 20, legendY);
+    ctx.stroke();
+    ctx.fillText(`Tracked ${unit}`, legendX + 25, legendY + 5);
     legendY += 35;
 
-    // 4th place indicator
-    ctx.fillStyle = '#FF0000';
+    ctx.strokeStyle = 'rgba(0, 212, 255, 0.6)';
+    ctx.setLineDash([8, 6]);
     ctx.beginPath();
-    ctx.arc(legendX + 10, legendY, 6, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.fillStyle = '#ffffff';
-    ctx.fillText('4th Place', legendX + 25, legendY + 5);
+    ctx.moveTo(legendX, legendY);
+    ctx.lineTo(legendX + 20, legendY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillText('Estimated', legendX + 25, legendY + 5);
     legendY += 55;
 
-    // Duo Partner section
-    ctx.fillStyle = '#ffffff';
-    ctx.font = 'bold 20px Arial';
-    ctx.fillText('Duo Partner', legendX, legendY);
-    legendY += 35;
+    // Duo Partner section, Double Up only
+    if (queue.teams) {
+        ctx.fillStyle = theme.text;
+        ctx.font = font(20, 'bold');
+        ctx.fillText('Duo Partner', legendX, legendY);
+        legendY += 35;
+    }
 
     // Draw the most common duo partner's icon (if exists)
     const topPartner = Array.from(duoPartners.entries())
@@ -568,8 +485,8 @@ async function generateClimbGraph(climbData, summoner, duoPartners) {
     
     if (topPartner) {
         const [_, partnerData] = topPartner;
-        const partnerIconUrl = `http://ddragon.leagueoflegends.com/cdn/15.24.1/img/profileicon/${partnerData.iconId}.png`;
-        const partnerIcon = await loadImageWithCache(partnerIconUrl);
+        const partnerIconUrl = await profileIconUrl(partnerData.iconId);
+        const partnerIcon = await loadImageWithCache(partnerIconUrl, 'profileIcon');
         
         if (partnerIcon) {
             const iconSize = 50;
@@ -602,14 +519,14 @@ async function generateClimbGraph(climbData, summoner, duoPartners) {
             ctx.stroke();
             
             // Partner name
-            ctx.fillStyle = '#ffffff';
-            ctx.font = '14px Arial';
+            ctx.fillStyle = theme.text;
+            ctx.font = font(14);
             ctx.textAlign = 'center';
             const partnerName = partnerData.name.split('#')[0]; // Just the name, no tag
             ctx.fillText(partnerName, iconX, iconY + iconSize / 2 + 20);
             
             // Game count
-            ctx.font = '12px Arial';
+            ctx.font = font(12);
             ctx.fillStyle = '#FFD700';
             ctx.fillText(`${partnerData.count} games`, iconX, iconY + iconSize / 2 + 35);
         }
@@ -620,11 +537,11 @@ async function generateClimbGraph(climbData, summoner, duoPartners) {
     const endLP = climbData[climbData.length - 1].totalLP;
     const change = endLP - startLP;
     
-    ctx.font = 'bold 24px Arial';
+    ctx.font = font(24, 'bold');
     ctx.textAlign = 'center';
     ctx.fillStyle = change >= 0 ? '#00FF00' : '#FF0000';
     ctx.fillText(
-        `${change >= 0 ? '▲' : '▼'} ${Math.abs(change)} LP`,
+        `${change >= 0 ? '▲' : '▼'} ${Math.abs(change)} ${unit}`,
         width / 2,
         height - 35
     );
@@ -0,0 +1,269 @@
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const Canvas = require('@napi-rs/canvas');
+const { getRegion, regionOption } = require('../utils/regions');
+const { riotIdOption, resolvePlayer, autocompleteRiotId } = require('../utils/players');
+const riotApi = require('../utils/riot-api');
+const matchStore = require('../utils/match-store');
+const lpHistory = require('../utils/lp-history');
+const { pickRank } = require('../utils/queues');
+const { profileIconUrl } = require('../utils/static-data');
+const { PLACEMENT_SUFFIX } = require('../utils/match-card');
+const { loadImageWithCache, font, drawBackground, resolveTheme, themeOption } = require('../utils/renderer');
+const guildConfig = require('../utils/guild-config');
+
+const PLAYER_COLORS = ['#00D4FF', '#FF4655'];
+
+// Stat rows on the card; `lowerIsBetter` decides which side gets highlighted
+const STAT_ROWS = [
+    { label: 'Avg Placement', key: 'avgPlacement', format: v => v.toFixed(2), lowerIsBetter: true },
+    { label: 'Top 4 Rate', key: 'top4Rate', format: v => `${v.toFixed(1)}%` },
+    { label: 'Win Rate', key: 'winRate', format: v => `${v.toFixed(1)}%` },
+    { label: 'Avg Level', key: 'avgLevel', format: v => v.toFixed(1) },
+    { label: 'Avg Damage', key: 'avgDamage', format: v => Math.round(v).toLocaleString() },
+    { label: 'Games', key: 'games', format: v => String(v) }
+];
+
+function summarize(matches, puuid) {
+    const games = matches
+        .map(match => match && match.info.participants.find(p => p.puuid === puuid))
+        .filter(Boolean);
+    const count = games.length || 1;
+
+    return {
+        games: games.length,
+        avgPlacement: games.reduce((sum, p) => sum + p.placement, 0) / count,
+        top4Rate: games.filter(p => p.placement <= 4).length / count * 100,
+        winRate: games.filter(p => p.placement === 1).length / count * 100,
+        avgLevel: games.reduce((sum, p) => sum + p.level, 0) / count,
+        avgDamage: games.reduce((sum, p) => sum + p.total_damage_to_players, 0) / count
+    };
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('tft-compare')
+        .setDescription('Compare two TFT players head to head')
+        .addStringOption(option => riotIdOption(option, 'riotid1', 'First Riot ID (e.g., Kuromi#NA1), defaults to your linked account'))
+        .addStringOption(option => riotIdOption(option, 'riotid2', 'Second Riot ID, defaults to your linked account'))
+        .addUserOption(option =>
+            option.setName('user1')
+                .setDescription('Use a Discord user\'s linked account as the first player')
+                .setRequired(false))
+        .addUserOption(option =>
+            option.setName('user2')
+                .setDescription('Use a Discord user\'s linked account as the second player')
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('matches')
+                .setDescription('Number of recent matches per player (5-50)')
+                .setMinValue(5)
+                .setMaxValue(50)
+                .setRequired(false))
+        .addStringOption(regionOption)
+        .addStringOption(themeOption),
+
+    autocomplete: autocompleteRiotId,
+
+    async execute(interaction) {
+        await guildConfig.deferReply(interaction);
+
+        const matchCount = interaction.options.getInteger('matches') || await guildConfig.getMatchCount(interaction.guildId, 'tft-compare');
+
+        try {
+            // Resolve both players (Riot ID, mentioned user or linked account)
+            const first = await resolvePlayer(interaction, { riotIdOptionName: 'riotid1', userOptionName: 'user1' });
+            if (first.error) {
+                await interaction.editReply(first.error);
+                return;
+            }
+
+            const second = await resolvePlayer(interaction, { riotIdOptionName: 'riotid2', userOptionName: 'user2' });
+            if (second.error) {
+                await interaction.editReply(second.error);
+                return;
+            }
+
+            if (first.summoner.puuid === second.summoner.puuid) {
+                await interaction.editReply('❌ Pick two different players to compare.');
+                return;
+            }
+
+            const players = [first, second];
+
+            // Match history and ranks for both
+            for (const player of players) {
+                const { summoner, region } = player;
+                player.matchIds = await riotApi.getMatchIds(region, summoner.puuid, matchCount);
+                player.rankDisplay = pickRank(await lpHistory.fetchEntries(region, summoner.puuid));
+            }
+
+            if (players.some(p => p.matchIds.length === 0)) {
+                await interaction.editReply('❌ Both players need recent matches to compare.');
+                return;
+            }
+
+            // Shared lobbies are only fetched once, the second load reads them from the store
+            const matchesById = new Map();
+            for (const player of players) {
+                const matches = await matchStore.loadMatches(player.region, player.matchIds);
+                player.matchIds.forEach((id, i) => matchesById.set(id, matches[i]));
+                player.stats = summarize(matches, player.summoner.puuid);
+            }
+
+            // Games both played in the same lobby, newest first. Double Up is ranked
+            // by team (1-4), and games where they were teammates aren't head to head.
+            const sharedGames = first.matchIds
+                .filter(id => second.matchIds.includes(id) && matchesById.get(id))
+                .map(id => {
+                    const { participants, tft_game_type: gameType } = matchesById.get(id).info;
+                    const teams = gameType === 'pairs';
+                    const placements = players.map(p => {
+                        const { placement } = participants.find(x => x.puuid === p.summoner.puuid);
+                        return teams ? Math.ceil(placement / 2) : placement;
+                    });
+                    return { matchId: id, placements };
+                })
+                .filter(game => game.placements[0] !== game.placements[1]);
+
+            const record = [0, 1].map(i => sharedGames.filter(g => g.placements[i] < g.placements[1 - i]).length);
+
+            const canvas = await generateCompareCard(players, sharedGames, record, await resolveTheme(interaction));
+            const attachment = new AttachmentBuilder(canvas.toBuffer('image/png'), { name: 'compare.png' });
+
+            const names = players.map(p => `${p.summoner.gameName}#${p.summoner.tagLine}`);
+            const recordText = sharedGames.length > 0
+                ? `**Shared lobbies:** ${sharedGames.length} - ${names[0]} placed higher ${record[0]}x, ${names[1]} ${record[1]}x`
+                : '**Shared lobbies:** none in these matches';
+
+            const embed = new EmbedBuilder()
+                .setColor('#00D4FF')
+                .setTitle(`⚔️ ${names[0]} vs ${names[1]}`)
+                .setDescription(recordText)
+                .setImage('attachment://compare.png')
+                .setTimestamp()
+                .setFooter({ text: `Last ${matchCount} matches each [${getRegion(first.region).label}]` });
+
+            await interaction.editReply({ embeds: [embed], files: [attachment] });
+
+        } catch (error) {
+            console.error('Error in tft-compare command:', error);
+            await interaction.editReply('❌ An error occurred while comparing players.');
+        }
+    }
+};
+
+async function generateCompareCard(players, sharedGames, record, theme) {
+    const width = 900;
+    const height = 560;
+    const canvas = Canvas.createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    // Background
+    await drawBackground(ctx, theme, width, height);
+
+    const columnX = [width / 4, width * 3 / 4];
+
+    // Player headers: icon, name and rank
+    const icons = await Promise.all(players.map(async p => loadImageWithCache(await profileIconUrl(p.summoner.profileIconId), 'profileIcon')));
+
+    players.forEach((player, i) => {
+        const cx = columnX[i];
+        const iconSize = 72;
+
+        if (icons[i]) {
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(cx, 60, iconSize / 2, 0, Math.PI * 2);
+            ctx.closePath();
+            ctx.clip();
+            ctx.drawImage(icons[i], cx - iconSize / 2, 60 - iconSize / 2, iconSize, iconSize);
+            ctx.restore();
+        }
+
+        ctx.strokeStyle = PLAYER_COLORS[i];
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(cx, 60, iconSize / 2, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.textAlign = 'center';
+        ctx.fillStyle = theme.text;
+        ctx.font = font(22, 'bold');
+        ctx.fillText(`${player.summoner.gameName}#${player.summoner.tagLine}`, cx, 125);
+
+        ctx.fillStyle = theme.mutedText;
+        ctx.font = font(16);
+        ctx.fillText(player.rankDisplay, cx, 150);
+    });
+
+    ctx.fillStyle = theme.text;
+    ctx.font = font(30, 'bold');
+    ctx.textAlign = 'center';
+    ctx.fillText('VS', width / 2, 70);
+
+    // Stat rows, the better value highlighted in that player's color
+    STAT_ROWS.forEach((row, r) => {
+        const y = 200 + r * 42;
+        const values = players.map(p => p.stats[row.key]);
+        const better = values[0] === values[1] || row.key === 'games'
+            ? -1
+            : (row.lowerIsBetter ? values[0] < values[1] : values[0] > values[1]) ? 0 : 1;
+
+        ctx.fillStyle = r % 2 === 0 ? theme.panel : theme.panelAlt;
+        ctx.fillRect(30, y - 27, width - 60, 38);
+
+        ctx.fillStyle = theme.mutedText;
+        ctx.font = font(16);
+        ctx.fillText(row.label, width / 2, y);
+
+        values.forEach((value, i) => {
+            ctx.fillStyle = i === better ? PLAYER_COLORS[i] : theme.text;
+            ctx.font = i === better ? font(22, 'bold') : font(20);
+            ctx.fillText(row.format(value), columnX[i], y);
+        });
+    });
+
+    // Shared lobby record
+    const recordY = 200 + STAT_ROWS.length * 42 + 20;
+    ctx.fillStyle = theme.text;
+    ctx.font = font(20, 'bold');
+    ctx.fillText(`Shared Lobbies: ${sharedGames.length}`, width / 2, recordY);
+
+    if (sharedGames.length > 0) {
+        ctx.font = font(36, 'bold');
+        ctx.fillStyle = PLAYER_COLORS[0];
+        ctx.fillText(String(record[0]), columnX[0], recordY + 10);
+        ctx.fillStyle = PLAYER_COLORS[1];
+        ctx.fillText(String(record[1]), columnX[1], recordY + 10);
+
+        // Most recent shared games as "2nd | 5th" chips
+        const chips = sharedGames.slice(0, 8);
+        const chipWidth = 90;
+        const startX = (width - chips.length * (chipWidth + 8) + 8) / 2;
+
+        chips.forEach((game, g) => {
+            const x = startX + g * (chipWidth + 8);
+            const y = recordY + 30;
+            const winner = game.placements[0] < game.placements[1] ? 0 : 1;
+
+            ctx.fillStyle = theme.panel;
+            ctx.fillRect(x, y, chipWidth, 32);
+            ctx.fillStyle = PLAYER_COLORS[winner];
+            ctx.fillRect(x, y + 29, chipWidth, 3);
+
+            ctx.font = font(15);
+            ctx.fillStyle = theme.text;
+            ctx.fillText(
+                game.placements.map(p => `${p}${PLACEMENT_SUFFIX[p]}`).join(' | '),
+                x + chipWidth / 2,
+                y + 21
+            );
+        });
+    } else {
+        ctx.font = font(16);
+        ctx.fillStyle = theme.mutedText;
+        ctx.fillText('No games in the same lobby', width / 2, recordY + 30);
+    }
+
+    return canvas;
+}
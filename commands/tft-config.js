@@ -0,0 +1,164 @@
+const { SlashCommandBuilder, EmbedBuilder, ChannelType, PermissionFlagsBits } = require('discord.js');
+const { REGIONS, getRegion } = require('../utils/regions');
+const guildConfig = require('../utils/guild-config');
+const tracker = require('../utils/tracker');
+const { THEMES, loadUserImage } = require('../utils/renderer');
+const { MAX_USER_IMAGE_BYTES } = require('../utils/asset-cache');
+
+function describeConfig(config) {
+    const matchCounts = Object.entries(config.matchCounts)
+        .map(([command, count]) => `/${command}: ${count}`)
+        .join('\n');
+
+    return [
+        { name: 'Region', value: getRegion(config.region).label, inline: true },
+        { name: 'Theme', value: THEMES[config.theme] ? THEMES[config.theme].name : config.theme, inline: true },
+        { name: 'Replies', value: config.ephemeral ? 'Only visible to the caller' : 'Public', inline: true },
+        { name: 'Custom Background', value: config.backgroundUrl || 'None', inline: false },
+        { name: 'Notification Channel', value: config.channelId ? `<#${config.channelId}>` : 'Channel where /tft-follow is used', inline: false },
+        { name: 'Default Matches', value: matchCounts, inline: false }
+    ];
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('tft-config')
+        .setDescription('Change this server\'s defaults for TFT commands')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand.setName('show')
+                .setDescription('Show the current settings'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('set')
+                .setDescription('Change region, notification channel, theme, background or reply visibility')
+                .addStringOption(option =>
+                    option.setName('region')
+                        .setDescription('Region used when a command doesn\'t specify one')
+                        .setRequired(false)
+                        .addChoices(...Object.entries(REGIONS).map(([value, region]) => ({ name: region.label, value }))))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Default channel for /tft-follow match notifications')
+                        .addChannelTypes(ChannelType.GuildText)
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('theme')
+                        .setDescription('Visual theme for rendered cards')
+                        .setRequired(false)
+                        .addChoices(...Object.entries(THEMES).map(([value, theme]) => ({ name: theme.name, value }))))
+                .addStringOption(option =>
+                    option.setName('background')
+                        .setDescription('Image URL used by the Custom Background theme')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('replies')
+                        .setDescription('Whether command replies are public or only visible to the caller')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Public', value: 'public' },
+                            { name: 'Only visible to the caller', value: 'ephemeral' }
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand.setName('matches')
+                .setDescription('Change how many matches a command loads by default')
+                .addStringOption(option =>
+                    option.setName('command')
+                        .setDescription('Command to change')
+                        .setRequired(true)
+                        .addChoices(...Object.keys(guildConfig.MATCH_COUNT_LIMITS).map(name => ({ name: `/${name}`, value: name }))))
+                .addIntegerOption(option =>
+                    option.setName('count')
+                        .setDescription('Number of matches (within the command\'s own limits)')
+                        .setMinValue(1)
+                        .setMaxValue(100)
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('reset')
+                .setDescription('Restore every setting to its default')),
+
+    async execute(interaction) {
+        if (!interaction.guildId) {
+            await interaction.reply({ content: '❌ Settings only apply inside a server.', ephemeral: true });
+            return;
+        }
+
+        // Default permissions can be overridden per server, so check again here
+        if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+            await interaction.reply({ content: '❌ You need the Manage Server permission to change these settings.', ephemeral: true });
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            let config;
+            let title = '⚙️ TFT Settings';
+
+            if (subcommand === 'set') {
+                const changes = {};
+                const region = interaction.options.getString('region');
+                const channel = interaction.options.getChannel('channel');
+                const theme = interaction.options.getString('theme');
+                const replies = interaction.options.getString('replies');
+                const background = interaction.options.getString('background');
+
+                if (region) changes.region = region;
+                if (channel) changes.channelId = channel.id;
+                if (theme) changes.theme = theme;
+                if (replies) changes.ephemeral = replies === 'ephemeral';
+
+                if (background) {
+                    // Make sure the URL actually serves an image before saving it
+                    if (!/^https:\/\//.test(background) || !(await loadUserImage(background, { fresh: true }))) {
+                        await interaction.editReply(`❌ Could not load that background. Use a direct https link to a PNG or JPG under ${MAX_USER_IMAGE_BYTES / (1024 * 1024)} MB.`);
+                        return;
+                    }
+                    changes.backgroundUrl = background;
+                }
+
+                if (Object.keys(changes).length === 0) {
+                    await interaction.editReply('❌ Pick at least one setting to change.');
+                    return;
+                }
+
+                config = await guildConfig.updateGuildConfig(interaction.guildId, changes);
+                // The configured channel replaces any channel picked with /tft-follow
+                if (channel) await tracker.clearChannelOverride(interaction.guildId);
+                title = '✅ Settings updated';
+            } else if (subcommand === 'matches') {
+                const command = interaction.options.getString('command');
+                const count = interaction.options.getInteger('count');
+                const limits = guildConfig.MATCH_COUNT_LIMITS[command];
+
+                if (count < limits.min || count > limits.max) {
+                    await interaction.editReply(`❌ /${command} accepts ${limits.min}-${limits.max} matches.`);
+                    return;
+                }
+
+                config = await guildConfig.updateGuildConfig(interaction.guildId, { matchCounts: { [command]: count } });
+                title = `✅ /${command} now loads ${count} matches by default`;
+            } else if (subcommand === 'reset') {
+                await guildConfig.resetGuildConfig(interaction.guildId);
+                config = await guildConfig.getGuildConfig(interaction.guildId);
+                title = '✅ Settings reset to defaults';
+            } else {
+                config = await guildConfig.getGuildConfig(interaction.guildId);
+            }
+
+            const embed = new EmbedBuilder()
+                .setColor('#00D4FF')
+                .setTitle(title)
+                .addFields(describeConfig(config))
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Error in tft-config command:', error);
+            await interaction.editReply('❌ An error occurred while updating settings.');
+        }
+    }
+};
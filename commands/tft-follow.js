@@ -0,0 +1,58 @@
+const { SlashCommandBuilder, ChannelType } = require('discord.js');
+const { getRegion, regionOption } = require('../utils/regions');
+const { riotIdOption, userOption, resolvePlayer, autocompleteRiotId } = require('../utils/players');
+const tracker = require('../utils/tracker');
+const guildConfig = require('../utils/guild-config');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('tft-follow')
+        .setDescription('Post a player\'s finished TFT matches to a channel automatically')
+        .addStringOption(riotIdOption)
+        .addUserOption(userOption)
+        .addStringOption(regionOption)
+        .addChannelOption(option =>
+            option.setName('channel')
+                .setDescription('Channel for match notifications (defaults to the configured channel, then this one)')
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(false)),
+
+    autocomplete: autocompleteRiotId,
+
+    async execute(interaction) {
+        if (!interaction.guildId) {
+            await interaction.reply({ content: '❌ Following players only works inside a server.', ephemeral: true });
+            return;
+        }
+
+        await guildConfig.deferReply(interaction);
+
+        try {
+            const player = await resolvePlayer(interaction);
+            if (player.error) {
+                await interaction.editReply(player.error);
+                return;
+            }
+
+            const { summoner, region } = player;
+            const channel = interaction.options.getChannel('channel');
+            const added = await tracker.follow(interaction.guildId, {
+                channelId: channel ? channel.id : null,
+                fallbackChannelId: interaction.channelId
+            }, summoner, region);
+
+            const follows = await tracker.getGuildFollows(interaction.guildId);
+            const channelId = await tracker.getAnnounceChannelId(interaction.guildId, follows);
+
+            await interaction.editReply(
+                added
+                    ? `✅ Now following **${summoner.gameName}#${summoner.tagLine}** [${getRegion(region).label}]. New matches will be posted in <#${channelId}>.`
+                    : `✅ Already following **${summoner.gameName}#${summoner.tagLine}**. Matches are posted in <#${channelId}>.`
+            );
+
+        } catch (error) {
+            console.error('Error in tft-follow command:', error);
+            await interaction.editReply('❌ An error occurred while following this player.');
+        }
+    }
+};
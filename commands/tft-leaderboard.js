@@ -0,0 +1,259 @@
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const Canvas = require('@napi-rs/canvas');
+const riotApi = require('../utils/riot-api');
+const lpHistory = require('../utils/lp-history');
+const links = require('../utils/links');
+const { RANKED_QUEUES, rankedQueueOption, formatLeagueEntry } = require('../utils/queues');
+const { getEntryValue, getRatedTier } = require('../utils/ranks');
+const { profileIconUrl } = require('../utils/static-data');
+const { loadImageWithCache, font, drawBackground, resolveTheme, themeOption } = require('../utils/renderer');
+const guildConfig = require('../utils/guild-config');
+
+const PAGE_SIZE = 10;
+
+// Leaderboard sessions for button pagination
+const leaderboardCache = new Map();
+const LEADERBOARD_TTL = 15 * 60 * 1000;
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, data] of leaderboardCache.entries()) {
+        if (now - data.timestamp > LEADERBOARD_TTL) {
+            leaderboardCache.delete(key);
+        }
+    }
+}, 5 * 60 * 1000).unref();
+
+// Row accent colors by tier (Hyper Roll tiers included)
+const TIER_COLORS = {
+    IRON: '#8a7f7a', BRONZE: '#8c5a3c', SILVER: '#a3b1bb', GOLD: '#e7b541',
+    PLATINUM: '#3fb6a8', EMERALD: '#2dbf6e', DIAMOND: '#6f8cff',
+    MASTER: '#b05ce6', GRANDMASTER: '#e0463d', CHALLENGER: '#f4d35e',
+    GRAY: '#8a8a8a', GREEN: '#3fbf5a', BLUE: '#3f8cff', PURPLE: '#a35cff', ORANGE: '#ff8c2a'
+};
+
+const PODIUM_COLORS = ['#FFD700', '#C0C0C0', '#CD7F32'];
+
+function formatEntry(queue, entry) {
+    if (queue.rated) {
+        return `${getRatedTier(entry.ratedRating).name} - ${entry.ratedRating} Rating`;
+    }
+    return formatLeagueEntry(entry);
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('tft-leaderboard')
+        .setDescription('Rank every linked member of this server')
+        .addStringOption(option => rankedQueueOption(option).setDescription('Ranked queue (defaults to Ranked)'))
+        .addStringOption(themeOption),
+
+    async execute(interaction) {
+        if (!interaction.guildId) {
+            await interaction.reply({ content: '❌ Leaderboards only work inside a server.', ephemeral: true });
+            return;
+        }
+
+        await guildConfig.deferReply(interaction);
+
+        const queue = RANKED_QUEUES[interaction.options.getString('queue') || 'ranked'];
+
+        try {
+            const guildLinks = await links.getGuildLinks(interaction.guildId);
+
+            if (guildLinks.length === 0) {
+                await interaction.editReply('❌ Nobody in this server has linked a Riot account yet. Use `/tft-link` to add yours.');
+                return;
+            }
+
+            // League entry (and profile icon) for every linked member
+            const members = await riotApi.mapWithConcurrency(guildLinks, riotApi.MATCH_CONCURRENCY, async (link) => {
+                try {
+                    const entries = await lpHistory.fetchEntries(link.region, link.puuid);
+                    const entry = entries.find(e => e.queueType === queue.leagueQueue);
+                    if (!entry) return { link, entry: null };
+
+                    const summoner = await riotApi.getSummonerByPuuid(link.region, link.puuid);
+                    return { link, entry, profileIconId: summoner ? summoner.profileIconId : 0 };
+                } catch (error) {
+                    console.error(`Failed to fetch rank for ${link.gameName}#${link.tagLine}:`, error.message);
+                    return { link, entry: null };
+                }
+            });
+
+            const ranked = members
+                .filter(m => m.entry)
+                .map(m => ({ ...m, value: getEntryValue(m.entry) }))
+                .sort((a, b) => b.value - a.value || b.entry.wins - a.entry.wins);
+
+            if (ranked.length === 0) {
+                await interaction.editReply(`❌ No linked members are ranked in ${queue.name} yet.`);
+                return;
+            }
+
+            const dataKey = `tft-leaderboard_${interaction.user.id}_${Date.now()}`;
+            leaderboardCache.set(dataKey, {
+                queue,
+                theme: await resolveTheme(interaction),
+                guildName: interaction.guild ? interaction.guild.name : 'Server',
+                ranked,
+                unrankedCount: members.length - ranked.length,
+                currentPage: 0,
+                timestamp: Date.now()
+            });
+
+            await showPage(interaction, dataKey, 0);
+
+        } catch (error) {
+            console.error('Error in tft-leaderboard command:', error);
+            await interaction.editReply('❌ An error occurred while building the leaderboard.');
+        }
+    },
+
+    async handleButton(interaction) {
+        const parts = interaction.customId.split('_');
+        const action = parts.pop();
+        const dataKey = parts.join('_');
+
+        const sessionData = leaderboardCache.get(dataKey);
+
+        if (!sessionData) {
+            await interaction.reply({
+                content: '❌ Session expired. Please run /tft-leaderboard again.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const pageCount = Math.ceil(sessionData.ranked.length / PAGE_SIZE);
+        let newPage = sessionData.currentPage;
+        if (action === 'prev') newPage--;
+        if (action === 'next') newPage++;
+
+        if (newPage < 0 || newPage >= pageCount) {
+            await interaction.reply({
+                content: '❌ No more pages in that direction.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        sessionData.currentPage = newPage;
+        sessionData.timestamp = Date.now();
+
+        await interaction.deferUpdate();
+        await showPage(interaction, dataKey, newPage);
+    }
+};
+
+async function showPage(interaction, dataKey, page) {
+    const { queue, theme, guildName, ranked, unrankedCount } = leaderboardCache.get(dataKey);
+    const pageCount = Math.ceil(ranked.length / PAGE_SIZE);
+    const start = page * PAGE_SIZE;
+    const rows = ranked.slice(start, start + PAGE_SIZE);
+
+    const canvas = await generateLeaderboardCanvas(rows, start, queue, guildName, theme);
+    const attachment = new AttachmentBuilder(canvas.toBuffer('image/png'), { name: 'leaderboard.png' });
+
+    const lines = rows.map((m, i) =>
+        `**#${start + i + 1}** <@${m.link.userId}> - ${m.link.gameName}#${m.link.tagLine} - ${formatEntry(queue, m.entry)}`
+    );
+
+    const footer = [`Page ${page + 1} of ${pageCount}`];
+    if (unrankedCount > 0) footer.push(`${unrankedCount} unranked`);
+
+    const embed = new EmbedBuilder()
+        .setColor('#FFD700')
+        .setTitle(`🏆 ${guildName} Leaderboard - ${queue.name}`)
+        .setDescription(lines.join('\n'))
+        .setImage('attachment://leaderboard.png')
+        .setTimestamp()
+        .setFooter({ text: footer.join(' • ') });
+
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${dataKey}_prev`)
+                .setLabel('◀ Previous')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(page === 0),
+            new ButtonBuilder()
+                .setCustomId(`${dataKey}_next`)
+                .setLabel('Next ▶')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(page >= pageCount - 1)
+        );
+
+    // Mentions in the list shouldn't ping anyone
+    await interaction.editReply({
+        embeds: [embed],
+        files: [attachment],
+        components: [row],
+        allowedMentions: { parse: [] }
+    });
+}
+
+async function generateLeaderboardCanvas(rows, offset, queue, guildName, theme) {
+    const width = 800;
+    const rowHeight = 56;
+    const height = 80 + rows.length * rowHeight + 10;
+    const canvas = Canvas.createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    // Background
+    await drawBackground(ctx, theme, width, height);
+
+    // Title
+    ctx.fillStyle = theme.text;
+    ctx.font = font(28, 'bold');
+    ctx.textAlign = 'left';
+    ctx.fillText(`${guildName} - ${queue.name}`.slice(0, 45), 20, 48);
+
+    const icons = await Promise.all(rows.map(async m => loadImageWithCache(await profileIconUrl(m.profileIconId), 'profileIcon')));
+
+    rows.forEach((member, i) => {
+        const position = offset + i + 1;
+        const y = 70 + i * rowHeight;
+        const tier = queue.rated ? getRatedTier(member.entry.ratedRating).tier : member.entry.tier;
+
+        ctx.fillStyle = i % 2 === 0 ? theme.panel : theme.panelAlt;
+        ctx.fillRect(10, y, width - 20, rowHeight - 6);
+
+        // Tier accent stripe
+        ctx.fillStyle = TIER_COLORS[tier] || theme.tile;
+        ctx.fillRect(10, y, 6, rowHeight - 6);
+
+        // Position, top three in podium colors
+        ctx.textAlign = 'center';
+        ctx.fillStyle = PODIUM_COLORS[position - 1] || theme.text;
+        ctx.font = font(22, 'bold');
+        ctx.fillText(`#${position}`, 52, y + 33);
+
+        // Profile icon
+        const iconSize = 40;
+        if (icons[i]) {
+            ctx.drawImage(icons[i], 90, y + 5, iconSize, iconSize);
+        } else {
+            ctx.fillStyle = theme.tile;
+            ctx.fillRect(90, y + 5, iconSize, iconSize);
+        }
+
+        // Name and record
+        ctx.textAlign = 'left';
+        ctx.fillStyle = theme.text;
+        ctx.font = font(18, 'bold');
+        ctx.fillText(`${member.link.gameName}#${member.link.tagLine}`.slice(0, 28), 145, y + 23);
+
+        ctx.fillStyle = theme.mutedText;
+        ctx.font = font(14);
+        ctx.fillText(`${member.entry.wins}W ${member.entry.losses}L`, 145, y + 42);
+
+        // Tier and LP
+        ctx.textAlign = 'right';
+        ctx.fillStyle = TIER_COLORS[tier] || theme.text;
+        ctx.font = font(18, 'bold');
+        ctx.fillText(formatEntry(queue, member.entry), width - 25, y + 33);
+    });
+
+    return canvas;
+}
@@ -0,0 +1,60 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { getRegion, regionOption } = require('../utils/regions');
+const { INVALID_RIOT_ID, parseRiotId, getAccount, autocompleteRiotId } = require('../utils/players');
+const riotApi = require('../utils/riot-api');
+const links = require('../utils/links');
+const guildConfig = require('../utils/guild-config');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('tft-link')
+        .setDescription('Link your Discord account to a Riot ID so you can skip typing it')
+        .addStringOption(option =>
+            option.setName('riotid')
+                .setDescription('Riot ID (e.g., Kuromi#NA1)')
+                .setRequired(true)
+                .setAutocomplete(true))
+        .addStringOption(regionOption),
+
+    autocomplete: autocompleteRiotId,
+
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        const riotId = interaction.options.getString('riotid');
+
+        try {
+            const region = interaction.options.getString('region') || (await guildConfig.getGuildConfig(interaction.guildId)).region;
+
+            const parsed = parseRiotId(riotId);
+            if (!parsed) {
+                await interaction.editReply(INVALID_RIOT_ID);
+                return;
+            }
+
+            const account = await getAccount(region, parsed.gameName, parsed.tagLine);
+            if (!account) {
+                await interaction.editReply('❌ Riot ID not found. Check the format: Name#TAG (e.g., Doublelift#NA1)');
+                return;
+            }
+
+            // Make sure the account actually plays on the chosen region
+            const summoner = await riotApi.getSummonerByPuuid(region, account.puuid);
+            if (!summoner) {
+                await interaction.editReply(`❌ ${account.gameName}#${account.tagLine} has no TFT profile on ${getRegion(region).label}.`);
+                return;
+            }
+
+            await links.setLink(interaction.user.id, account, region, interaction.guildId);
+
+            await interaction.editReply(
+                `✅ Linked to **${account.gameName}#${account.tagLine}** [${getRegion(region).label}]. ` +
+                'You can now leave out `riotid` on TFT commands.'
+            );
+
+        } catch (error) {
+            console.error('Error in tft-link command:', error);
+            await interaction.editReply('❌ An error occurred while linking your account.');
+        }
+    }
+};
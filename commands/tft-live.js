@@ -0,0 +1,154 @@
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const Canvas = require('@napi-rs/canvas');
+const { getRegion, regionOption } = require('../utils/regions');
+const { riotIdOption, userOption, resolvePlayer, autocompleteRiotId } = require('../utils/players');
+const { getMatchQueue, formatLeagueEntry } = require('../utils/queues');
+const riotApi = require('../utils/riot-api');
+const { profileIconUrl } = require('../utils/static-data');
+const guildConfig = require('../utils/guild-config');
+const { loadImageWithCache, font, drawBackground, resolveTheme, themeOption } = require('../utils/renderer');
+
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('tft-live')
+        .setDescription('Check whether a player is in a TFT game right now')
+        .addStringOption(riotIdOption)
+        .addUserOption(userOption)
+        .addStringOption(regionOption)
+        .addStringOption(themeOption),
+
+    autocomplete: autocompleteRiotId,
+
+    async execute(interaction) {
+        await guildConfig.deferReply(interaction);
+
+        try {
+            const player = await resolvePlayer(interaction);
+            if (player.error) {
+                await interaction.editReply(player.error);
+                return;
+            }
+
+            const { summoner, region } = player;
+
+            // Fetch the active game
+            const game = await riotApi.getActiveGame(region, summoner.puuid);
+
+            if (!game) {
+                await interaction.editReply(`⚪ **${summoner.gameName}#${summoner.tagLine}** is not in a TFT game right now.`);
+                return;
+            }
+
+            const queue = getMatchQueue(game.gameQueueConfigId);
+            const elapsed = game.gameStartTime > 0
+                ? (Date.now() - game.gameStartTime) / 1000
+                : game.gameLength;
+
+            // Fetch each participant's rank for this queue
+            const lobby = await riotApi.mapWithConcurrency(game.participants, riotApi.MATCH_CONCURRENCY, async (participant) => {
+                let rankDisplay = 'Unranked';
+                try {
+                    const entries = await riotApi.getLeagueEntries(region, participant.puuid);
+                    const entry = entries.find(e => e.queueType === queue.leagueQueue);
+                    if (entry) rankDisplay = formatLeagueEntry(entry);
+                } catch (error) {
+                    console.error('Failed to fetch participant rank:', error.message);
+                }
+
+                return {
+                    puuid: participant.puuid,
+                    riotId: participant.riotId || 'Unknown',
+                    profileIconId: participant.profileIconId,
+                    rankDisplay
+                };
+            });
+
+            const canvas = await generateLiveCanvas(lobby, summoner, queue, elapsed, await resolveTheme(interaction));
+            const attachment = new AttachmentBuilder(canvas.toBuffer('image/png'), { name: 'live.png' });
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF4655')
+                .setAuthor({
+                    name: `${summoner.gameName}#${summoner.tagLine} [${getRegion(region).label}]`,
+                    iconURL: await profileIconUrl(summoner.profileIconId)
+                })
+                .setTitle(`🔴 Live Game - ${queue.name}`)
+                .setDescription(`**Elapsed:** ${formatDuration(elapsed)}`)
+                .setImage('attachment://live.png')
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [embed], files: [attachment] });
+
+        } catch (error) {
+            console.error('Error in tft-live command:', error);
+            await interaction.editReply('❌ An error occurred while fetching the live game.');
+        }
+    }
+};
+
+async function generateLiveCanvas(lobby, summoner, queue, elapsed, theme) {
+    const width = 900;
+    const height = 500;
+    const canvas = Canvas.createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    // Background
+    await drawBackground(ctx, theme, width, height);
+
+    // Title
+    ctx.fillStyle = theme.text;
+    ctx.font = font(28, 'bold');
+    ctx.textAlign = 'left';
+    ctx.fillText(`${queue.name} - Live`, 30, 50);
+
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#FF4655';
+    ctx.fillText(`Elapsed ${formatDuration(elapsed)}`, width - 30, 50);
+
+    // Lobby in two columns of four
+    const cardWidth = 410;
+    const cardHeight = 90;
+    const icons = await Promise.all(lobby.map(async p => loadImageWithCache(await profileIconUrl(p.profileIconId), 'profileIcon')));
+
+    lobby.forEach((participant, i) => {
+        const x = 30 + (i % 2) * (cardWidth + 20);
+        const y = 80 + Math.floor(i / 2) * (cardHeight + 10);
+        const isTarget = participant.puuid === summoner.puuid;
+
+        ctx.fillStyle = isTarget ? 'rgba(255, 215, 0, 0.2)' : theme.panel;
+        ctx.fillRect(x, y, cardWidth, cardHeight);
+
+        if (isTarget) {
+            ctx.strokeStyle = '#FFD700';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x, y, cardWidth, cardHeight);
+        }
+
+        // Profile icon
+        const iconSize = 64;
+        if (icons[i]) {
+            ctx.drawImage(icons[i], x + 13, y + 13, iconSize, iconSize);
+        } else {
+            ctx.fillStyle = theme.tile;
+            ctx.fillRect(x + 13, y + 13, iconSize, iconSize);
+        }
+
+        // Name and rank
+        ctx.textAlign = 'left';
+        ctx.fillStyle = theme.text;
+        ctx.font = font(20, 'bold');
+        ctx.fillText(participant.riotId, x + 90, y + 40);
+
+        ctx.fillStyle = theme.mutedText;
+        ctx.font = font(16);
+        ctx.fillText(participant.rankDisplay, x + 90, y + 68);
+    });
+
+    return canvas;
+}
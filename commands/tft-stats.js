@@ -1,75 +1,96 @@
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const fetch = require('node-fetch');
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const Canvas = require('@napi-rs/canvas');
+const { getRegion, regionOption } = require('../utils/regions');
+const { riotIdOption, userOption, resolvePlayer, autocompleteRiotId } = require('../utils/players');
+const riotApi = require('../utils/riot-api');
+const matchStore = require('../utils/match-store');
+const lpHistory = require('../utils/lp-history');
+const { profileIconUrl } = require('../utils/static-data');
+const { classifyComp, summarizeComps } = require('../utils/comps');
+const { QUEUE_FILTERS, matchesQueueFilter, pickRank } = require('../utils/queues');
+const { getCurrentSet, getMatchSet, getPatch } = require('../utils/sets');
+const { PLACEMENT_SUFFIX } = require('../utils/match-card');
+const { loadImageWithCache, font, drawBackground, resolveTheme, themeOption } = require('../utils/renderer');
+const { HIGH_GOLD_LEFT, formatStage, wasEliminated } = require('../utils/rounds');
+const guildConfig = require('../utils/guild-config');
+
+const TOP_COMPS_SHOWN = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ROLLING_WINDOW = 5;
+
+// Time window filters; `since` returns the earliest game_datetime kept, while
+// `currentSet` keeps games from the same set as the newest match
+const TIME_WINDOWS = {
+    today: { name: 'Today (UTC)', since: () => Math.floor(Date.now() / DAY_MS) * DAY_MS },
+    week: { name: 'Last 7 days', since: () => Date.now() - 7 * DAY_MS },
+    set: { name: 'This set', currentSet: true }
+};
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('tft-stats')
         .setDescription('View quick statistics for a TFT summoner')
-        .addStringOption(option =>
-            option.setName('riotid')
-                .setDescription('Riot ID (e.g., Carmite#NA1)')
-                .setRequired(true))
+        .addStringOption(riotIdOption)
+        .addUserOption(userOption)
         .addIntegerOption(option =>
             option.setName('matches')
                 .setDescription('Number of recent matches to analyze (5-50)')
                 .setMinValue(5)
                 .setMaxValue(50)
-                .setRequired(false)),
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('queue')
+                .setDescription('Only count games from this queue')
+                .setRequired(false)
+                .addChoices(...Object.entries(QUEUE_FILTERS).map(([value, filter]) => ({ name: filter.name, value }))))
+        .addStringOption(option =>
+            option.setName('period')
+                .setDescription('Only count games from this time window')
+                .setRequired(false)
+                .addChoices(...Object.entries(TIME_WINDOWS).map(([value, window]) => ({ name: window.name, value }))))
+        .addStringOption(option =>
+            option.setName('patch')
+                .setDescription('Only count games from this patch (e.g., 15.24)')
+                .setRequired(false))
+        .addStringOption(regionOption)
+        .addStringOption(themeOption),
+
+    autocomplete: autocompleteRiotId,
 
     async execute(interaction) {
-        await interaction.deferReply();
+        await guildConfig.deferReply(interaction);
 
-        const riotId = interaction.options.getString('riotid');
-        const matchCount = interaction.options.getInteger('matches') || 20;
-        const apiKey = process.env.RIOT_API_KEY;
+        const matchCount = interaction.options.getInteger('matches') || await guildConfig.getMatchCount(interaction.guildId, 'tft-stats');
+        const queueKey = interaction.options.getString('queue');
+        const periodKey = interaction.options.getString('period');
+        const patch = interaction.options.getString('patch');
 
-        try {
-            // Parse Riot ID
-            const [gameName, tagLine] = riotId.split('#');
-            if (!gameName || !tagLine) {
-                await interaction.editReply('❌ Invalid Riot ID format. Use: Name#TAG (e.g., Doublelift#NA1)');
-                return;
-            }
+        const queueFilter = queueKey ? QUEUE_FILTERS[queueKey] : null;
+        const timeWindow = periodKey ? TIME_WINDOWS[periodKey] : null;
+        const since = timeWindow && timeWindow.since ? timeWindow.since() : 0;
 
-            // Fetch account
-            const accountRes = await fetch(
-                `https://americas.api.riotgames.com/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}?api_key=${apiKey}`
-            );
-            
-            if (!accountRes.ok) {
-                await interaction.editReply('❌ Riot ID not found.');
-                return;
-            }
-            
-            const account = await accountRes.json();
+        // Filters echoed in the footer
+        const filterLabels = [];
+        if (queueFilter) filterLabels.push(queueFilter.name);
+        if (timeWindow) filterLabels.push(timeWindow.name);
+        if (patch) filterLabels.push(`Patch ${patch}`);
 
-            // Fetch summoner
-            const summonerRes = await fetch(
-                `https://na1.api.riotgames.com/tft/summoner/v1/summoners/by-puuid/${account.puuid}?api_key=${apiKey}`
-            );
-            
-            if (!summonerRes.ok) {
-                await interaction.editReply('❌ Summoner not found.');
+        try {
+            const player = await resolvePlayer(interaction);
+            if (player.error) {
+                await interaction.editReply(player.error);
                 return;
             }
             
-            const summoner = await summonerRes.json();
-            summoner.gameName = account.gameName;
-            summoner.tagLine = account.tagLine;
+            const { summoner, region } = player;
 
             // Fetch ranked stats
-            const rankedRes = await fetch(
-                `https://na1.api.riotgames.com/tft/league/v1/entries/by-summoner/${summoner.id}?api_key=${apiKey}`
-            );
-            const rankedStats = await rankedRes.json();
+            const rankedStats = await lpHistory.fetchEntries(region, summoner.puuid);
 
             // Fetch match IDs
-            const matchesRes = await fetch(
-                `https://americas.api.riotgames.com/tft/match/v1/matches/by-puuid/${summoner.puuid}/ids?count=${matchCount}&api_key=${apiKey}`
-            );
-            const matchIds = await matchesRes.json();
+            const matchIds = await riotApi.getMatchIds(region, summoner.puuid, matchCount);
 
-            if (!matchIds || matchIds.length === 0) {
+            if (matchIds.length === 0) {
                 await interaction.editReply('❌ No recent matches found.');
                 return;
             }
@@ -80,21 +101,45 @@ module.exports = {
                 totalDamage: 0,
                 totalEliminations: 0,
                 levels: [],
+                comps: [],
+                goldLeft: [],
+                eliminationRounds: [],
+                highGoldDeaths: 0,
                 gameTypes: { ranked: 0, doubleUp: 0, other: 0 }
             };
 
-            for (const matchId of matchIds) {
-                const matchRes = await fetch(
-                    `https://americas.api.riotgames.com/tft/match/v1/matches/${matchId}?api_key=${apiKey}`
-                );
-                const match = await matchRes.json();
+            const matches = await matchStore.loadMatches(region, matchIds);
+            const currentSet = getCurrentSet(matches);
+
+            for (const match of matches) {
+                if (!match) continue;
+
+                // Apply queue, time window and patch filters
+                if (queueFilter && !matchesQueueFilter(queueFilter, match.info)) continue;
+                if (match.info.game_datetime < since) continue;
+                if (timeWindow && timeWindow.currentSet && getMatchSet(match.info).number !== currentSet.number) continue;
+                if (patch && getPatch(match.info.game_version) !== patch.trim()) continue;
+
                 const playerData = match.info.participants.find(p => p.puuid === summoner.puuid);
                 
                 if (playerData) {
-                    stats.placements.push(playerData.placement);
+                    // Double Up placements count by team (1-4) when that queue is selected
+                    const placement = queueFilter && queueFilter.teams
+                        ? Math.ceil(playerData.placement / 2)
+                        : playerData.placement;
+
+                    stats.placements.push(placement);
                     stats.totalDamage += playerData.total_damage_to_players;
                     stats.totalEliminations += playerData.players_eliminated;
                     stats.levels.push(playerData.level);
+                    stats.comps.push({ comp: await classifyComp(playerData), placement });
+                    stats.goldLeft.push(playerData.gold_left);
+
+                    // Elimination timing only counts games the player didn't win
+                    if (wasEliminated(playerData, match.info)) {
+                        stats.eliminationRounds.push(playerData.last_round);
+                        if (playerData.gold_left >= HIGH_GOLD_LEFT) stats.highGoldDeaths++;
+                    }
 
                     // Count game types
                     if (match.info.tft_game_type === 'pairs') {
@@ -105,53 +150,72 @@ module.exports = {
                         stats.gameTypes.other++;
                     }
                 }
+            }
 
-                // Delay to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 50));
+            if (stats.placements.length === 0) {
+                await interaction.editReply(
+                    filterLabels.length > 0
+                        ? `❌ No recent matches match the filters (${filterLabels.join(', ')}).`
+                        : '❌ Could not load any recent matches.'
+                );
+                return;
             }
 
+            const gameCount = stats.placements.length;
+            const lobbySize = queueFilter && queueFilter.teams ? 4 : 8;
+            const topHalf = lobbySize / 2;
+
             // Calculate statistics
             const avgPlacement = (stats.placements.reduce((a, b) => a + b, 0) / stats.placements.length).toFixed(2);
             const avgDamage = Math.round(stats.totalDamage / stats.placements.length);
             const avgElims = (stats.totalEliminations / stats.placements.length).toFixed(1);
             const avgLevel = (stats.levels.reduce((a, b) => a + b, 0) / stats.levels.length).toFixed(1);
             
-            const top4Count = stats.placements.filter(p => p <= 4).length;
+            const top4Count = stats.placements.filter(p => p <= topHalf).length;
             const top4Rate = ((top4Count / stats.placements.length) * 100).toFixed(1);
             const winCount = stats.placements.filter(p => p === 1).length;
             const winRate = ((winCount / stats.placements.length) * 100).toFixed(1);
 
-            // Placement distribution
-            const placementDist = {};
-            for (let i = 1; i <= 8; i++) {
-                placementDist[i] = stats.placements.filter(p => p === i).length;
-            }
+            const avgGoldLeft = (stats.goldLeft.reduce((a, b) => a + b, 0) / stats.goldLeft.length).toFixed(1);
+            const avgEliminationStage = stats.eliminationRounds.length > 0
+                ? `Stage ${formatStage(stats.eliminationRounds.reduce((a, b) => a + b, 0) / stats.eliminationRounds.length)}`
+                : 'Never eliminated';
+            const highGoldDisplay = stats.highGoldDeaths > 0
+                ? `\n⚠️ Died holding ${HIGH_GOLD_LEFT}+ gold in ${stats.highGoldDeaths} game${stats.highGoldDeaths === 1 ? '' : 's'}`
+                : '';
 
-            const distributionBar = Object.entries(placementDist)
-                .map(([place, count]) => {
-                    const emoji = place <= 4 ? '🟩' : '🟥';
-                    const bar = emoji.repeat(Math.max(1, Math.round(count / matchIds.length * 10)));
-                    return `${place}${getPlacementSuffix(place)}: ${bar} (${count})`;
-                })
-                .join('\n');
+            // Stats card (placements are newest first, the chart reads left to right)
+            const canvas = await generateStatsCard({
+                placements: [...stats.placements].reverse(),
+                avgPlacement,
+                top4Rate,
+                winRate,
+                lobbySize,
+                topHalf
+            }, summoner, filterLabels, await resolveTheme(interaction));
+            const attachment = new AttachmentBuilder(canvas.toBuffer('image/png'), { name: 'stats.png' });
 
-            // Build embed
-            const rankedDisplay = rankedStats.length > 0
-                ? `${rankedStats[0].tier} ${rankedStats[0].rank} - ${rankedStats[0].leaguePoints} LP`
-                : 'Unranked';
+            // Most played comps
+            const compsDisplay = summarizeComps(stats.comps, topHalf)
+                .slice(0, TOP_COMPS_SHOWN)
+                .map(c => `**${c.name}** - ${c.games} game${c.games === 1 ? '' : 's'} • Avg ${c.avgPlacement.toFixed(2)} • Top ${topHalf} ${c.top4Rate.toFixed(0)}%`)
+                .join('\n') || 'None';
+
+            // Build embed, showing the rank for the filtered queue when there is one
+            const rankedDisplay = pickRank(rankedStats, queueFilter ? queueFilter.leagueQueue : undefined);
 
             const embed = new EmbedBuilder()
-                .setColor(getColorByAvgPlacement(parseFloat(avgPlacement)))
+                .setColor(getColorByAvgPlacement(parseFloat(avgPlacement) * 8 / lobbySize))
                 .setAuthor({ 
-                    name: `${summoner.gameName}#${summoner.tagLine}`,
-                    iconURL: `http://ddragon.leagueoflegends.com/cdn/15.24.1/img/profileicon/${summoner.profileIconId}.png`
+                    name: `${summoner.gameName}#${summoner.tagLine} [${getRegion(region).label}]`,
+                    iconURL: await profileIconUrl(summoner.profileIconId)
                 })
-                .setTitle(`📊 TFT Statistics - Last ${matchIds.length} Games`)
+                .setTitle(`📊 TFT Statistics - ${gameCount} Games`)
                 .setDescription(`**Current Rank:** ${rankedDisplay}`)
                 .addFields(
                     { 
                         name: '🏆 Win Stats', 
-                        value: `Wins: ${winCount} (${winRate}%)\nTop 4s: ${top4Count} (${top4Rate}%)`, 
+                        value: `Wins: ${winCount} (${winRate}%)\nTop ${topHalf}s: ${top4Count} (${top4Rate}%)`, 
                         inline: true 
                     },
                     { 
@@ -165,8 +229,13 @@ module.exports = {
                         inline: true 
                     },
                     {
-                        name: '📍 Placement Distribution',
-                        value: distributionBar,
+                        name: '💰 Economy',
+                        value: `Avg Elimination: ${avgEliminationStage}\nAvg Gold Left: ${avgGoldLeft}${highGoldDisplay}`,
+                        inline: false
+                    },
+                    {
+                        name: '🧩 Top Comps',
+                        value: compsDisplay,
                         inline: false
                     },
                     {
@@ -175,10 +244,15 @@ module.exports = {
                         inline: true
                     }
                 )
+                .setImage('attachment://stats.png')
                 .setTimestamp()
-                .setFooter({ text: `Analyzing ${matchIds.length} recent matches` });
+                .setFooter({
+                    text: filterLabels.length > 0
+                        ? `Analyzing ${gameCount} of ${matchIds.length} recent matches • ${filterLabels.join(' • ')}`
+                        : `Analyzing ${matchIds.length} recent matches`
+                });
 
-            await interaction.editReply({ embeds: [embed] });
+            await interaction.editReply({ embeds: [embed], files: [attachment] });
 
         } catch (error) {
             console.error('Error fetching stats:', error);
@@ -187,17 +261,150 @@ module.exports = {
     }
 };
 
-function getPlacementSuffix(place) {
-    const num = parseInt(place);
-    if (num === 1) return 'st';
-    if (num === 2) return 'nd';
-    if (num === 3) return 'rd';
-    return 'th';
-}
-
 function getColorByAvgPlacement(avg) {
     if (avg <= 3.0) return '#FFD700'; // Gold
     if (avg <= 4.0) return '#C0C0C0'; // Silver
     if (avg <= 5.0) return '#CD7F32'; // Bronze
     return '#808080'; // Gray
-}
\ No newline at end of file
+}
+
+async function generateStatsCard(card, summoner, filterLabels, theme) {
+    const width = 1000;
+    const height = 560;
+    const canvas = Canvas.createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    // Background
+    await drawBackground(ctx, theme, width, height);
+
+    const { placements, lobbySize, topHalf } = card;
+
+    // Title
+    ctx.fillStyle = theme.text;
+    ctx.font = font(28, 'bold');
+    ctx.textAlign = 'left';
+    ctx.fillText(`${summoner.gameName}#${summoner.tagLine}`, 30, 45);
+
+    ctx.fillStyle = theme.mutedText;
+    ctx.font = font(16);
+    ctx.fillText([`${placements.length} games`, ...filterLabels].join(' • '), 30, 70);
+
+    // Headline numbers
+    const headlines = [
+        { label: 'Avg Placement', value: card.avgPlacement, color: getColorByAvgPlacement(parseFloat(card.avgPlacement) * 8 / lobbySize) },
+        { label: `Top ${topHalf} Rate`, value: `${card.top4Rate}%`, color: '#00FF00' },
+        { label: 'Win Rate', value: `${card.winRate}%`, color: '#FFD700' }
+    ];
+
+    headlines.forEach((headline, i) => {
+        const x = 30 + i * 320;
+        ctx.fillStyle = theme.panel;
+        ctx.fillRect(x, 90, 300, 90);
+
+        ctx.textAlign = 'center';
+        ctx.fillStyle = headline.color;
+        ctx.font = font(40, 'bold');
+        ctx.fillText(headline.value, x + 150, 143);
+
+        ctx.fillStyle = theme.mutedText;
+        ctx.font = font(16);
+        ctx.fillText(headline.label, x + 150, 168);
+    });
+
+    // Placement histogram
+    const hist = { x: 30, y: 230, width: 380, height: 280 };
+    const counts = [];
+    for (let place = 1; place <= lobbySize; place++) {
+        counts.push(placements.filter(p => p === place).length);
+    }
+    const maxCount = Math.max(...counts, 1);
+    const slot = hist.width / lobbySize;
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = theme.text;
+    ctx.font = font(18, 'bold');
+    ctx.fillText('Placements', hist.x, hist.y - 12);
+
+    counts.forEach((count, i) => {
+        const place = i + 1;
+        const barHeight = (count / maxCount) * (hist.height - 40);
+        const x = hist.x + i * slot + 6;
+        const y = hist.y + hist.height - 20 - barHeight;
+
+        ctx.fillStyle = place <= topHalf ? '#2ecc71' : '#e74c3c';
+        ctx.fillRect(x, y, slot - 12, barHeight);
+
+        ctx.textAlign = 'center';
+        ctx.fillStyle = theme.text;
+        ctx.font = font(14);
+        if (count > 0) ctx.fillText(String(count), x + (slot - 12) / 2, y - 6);
+        ctx.fillStyle = theme.mutedText;
+        ctx.fillText(`${place}${PLACEMENT_SUFFIX[place]}`, x + (slot - 12) / 2, hist.y + hist.height);
+    });
+
+    // Placement per game with a rolling average, 1st at the top
+    const chart = { x: 480, y: 230, width: 490, height: 260 };
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = theme.text;
+    ctx.font = font(18, 'bold');
+    ctx.fillText(`Placement Trend (${ROLLING_WINDOW}-game average)`, chart.x, chart.y - 12);
+
+    const yFor = place => chart.y + ((place - 1) / (lobbySize - 1)) * chart.height;
+    const xFor = i => chart.x + 25 + (placements.length > 1 ? (i / (placements.length - 1)) * (chart.width - 35) : (chart.width - 35) / 2);
+
+    ctx.strokeStyle = theme.grid;
+    ctx.lineWidth = 1;
+    ctx.font = font(12);
+    ctx.textAlign = 'right';
+    for (let place = 1; place <= lobbySize; place++) {
+        ctx.beginPath();
+        ctx.moveTo(chart.x + 25, yFor(place));
+        ctx.lineTo(chart.x + chart.width, yFor(place));
+        ctx.stroke();
+        ctx.fillStyle = theme.mutedText;
+        ctx.fillText(String(place), chart.x + 15, yFor(place) + 4);
+    }
+
+    // Top half cutoff
+    ctx.strokeStyle = 'rgba(46, 204, 113, 0.5)';
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(chart.x + 25, (yFor(topHalf) + yFor(topHalf + 1)) / 2);
+    ctx.lineTo(chart.x + chart.width, (yFor(topHalf) + yFor(topHalf + 1)) / 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Per-game placements
+    ctx.strokeStyle = theme.mutedText;
+    ctx.globalAlpha = 0.4;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    placements.forEach((place, i) => {
+        if (i === 0) ctx.moveTo(xFor(i), yFor(place));
+        else ctx.lineTo(xFor(i), yFor(place));
+    });
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+
+    placements.forEach((place, i) => {
+        ctx.fillStyle = place <= topHalf ? '#2ecc71' : '#e74c3c';
+        ctx.beginPath();
+        ctx.arc(xFor(i), yFor(place), 4, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    // Rolling average
+    ctx.strokeStyle = '#FFD700';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    placements.forEach((place, i) => {
+        const window = placements.slice(Math.max(0, i - ROLLING_WINDOW + 1), i + 1);
+        const average = window.reduce((a, b) => a + b, 0) / window.length;
+        if (i === 0) ctx.moveTo(xFor(i), yFor(average));
+        else ctx.lineTo(xFor(i), yFor(average));
+    });
+    ctx.stroke();
+
+    return canvas;
+}
@@ -0,0 +1,46 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { regionOption } = require('../utils/regions');
+const { riotIdOption, userOption, resolvePlayer, autocompleteRiotId } = require('../utils/players');
+const tracker = require('../utils/tracker');
+const guildConfig = require('../utils/guild-config');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('tft-unfollow')
+        .setDescription('Stop posting a player\'s finished TFT matches')
+        .addStringOption(riotIdOption)
+        .addUserOption(userOption)
+        .addStringOption(regionOption),
+
+    autocomplete: autocompleteRiotId,
+
+    async execute(interaction) {
+        if (!interaction.guildId) {
+            await interaction.reply({ content: '❌ Following players only works inside a server.', ephemeral: true });
+            return;
+        }
+
+        await guildConfig.deferReply(interaction);
+
+        try {
+            const player = await resolvePlayer(interaction);
+            if (player.error) {
+                await interaction.editReply(player.error);
+                return;
+            }
+
+            const { summoner } = player;
+            const removed = await tracker.unfollow(interaction.guildId, summoner.puuid);
+
+            await interaction.editReply(
+                removed
+                    ? `✅ Stopped following **${summoner.gameName}#${summoner.tagLine}**.`
+                    : `❌ **${summoner.gameName}#${summoner.tagLine}** isn't being followed in this server.`
+            );
+
+        } catch (error) {
+            console.error('Error in tft-unfollow command:', error);
+            await interaction.editReply('❌ An error occurred while unfollowing this player.');
+        }
+    }
+};
@@ -0,0 +1,288 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { getRegion, regionOption } = require('../utils/regions');
+const { riotIdOption, userOption, resolvePlayer, autocompleteRiotId } = require('../utils/players');
+const riotApi = require('../utils/riot-api');
+const matchStore = require('../utils/match-store');
+const { profileIconUrl, getChampion, getItem } = require('../utils/static-data');
+const guildConfig = require('../utils/guild-config');
+
+const PAGE_SIZE = 5;
+const BUILDS_SHOWN = 2;
+const TOP_ITEMS_SHOWN = 5;
+
+// Sorting by placement ignores one-off units so a single lucky game doesn't top the list
+const MIN_PLAYS_FOR_PLACEMENT_SORT = 2;
+
+// Units sessions for button pagination
+const unitsCache = new Map();
+const UNITS_TTL = 15 * 60 * 1000;
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, data] of unitsCache.entries()) {
+        if (now - data.timestamp > UNITS_TTL) {
+            unitsCache.delete(key);
+        }
+    }
+}, 5 * 60 * 1000).unref();
+
+const SORT_LABELS = {
+    plays: 'Play Count',
+    placement: 'Avg Placement'
+};
+
+// Per-champion and per-item totals over the player's boards
+function aggregateUnits(boards) {
+    const champions = new Map();
+    const items = new Map();
+
+    for (const { units, placement } of boards) {
+        // Copies of the same champion on one board count as a single play
+        const copiesByChampion = new Map();
+        for (const unit of units) {
+            const copies = copiesByChampion.get(unit.character_id) || [];
+            copies.push(unit);
+            copiesByChampion.set(unit.character_id, copies);
+        }
+
+        for (const [characterId, copies] of copiesByChampion) {
+            const champ = champions.get(characterId) || {
+                characterId, plays: 0, totalPlacement: 0, threeStars: 0, builds: new Map()
+            };
+            champ.plays++;
+            champ.totalPlacement += placement;
+            if (copies.some(unit => unit.tier === 3)) champ.threeStars++;
+
+            // The most itemized copy stands for the board's build
+            const carry = copies.reduce((best, unit) =>
+                ((unit.itemNames || []).length > (best.itemNames || []).length ? unit : best));
+            const itemNames = carry.itemNames || [];
+            if (itemNames.length > 0) {
+                const buildKey = [...itemNames].sort().join(',');
+                const build = champ.builds.get(buildKey) || { items: [...itemNames].sort(), count: 0, totalPlacement: 0 };
+                build.count++;
+                build.totalPlacement += placement;
+                champ.builds.set(buildKey, build);
+            }
+
+            champions.set(characterId, champ);
+        }
+
+        // Items count every copy that held them
+        for (const unit of units) {
+            for (const apiName of unit.itemNames || []) {
+                const item = items.get(apiName) || { apiName, count: 0, totalPlacement: 0 };
+                item.count++;
+                item.totalPlacement += placement;
+                items.set(apiName, item);
+            }
+        }
+    }
+
+    return {
+        champions: [...champions.values()].map(c => ({
+            characterId: c.characterId,
+            plays: c.plays,
+            avgPlacement: c.totalPlacement / c.plays,
+            threeStarRate: c.threeStars / c.plays * 100,
+            builds: [...c.builds.values()]
+                .sort((a, b) => b.count - a.count || a.totalPlacement / a.count - b.totalPlacement / b.count)
+                .slice(0, BUILDS_SHOWN)
+                .map(b => ({ items: b.items, count: b.count, avgPlacement: b.totalPlacement / b.count }))
+        })),
+        items: [...items.values()]
+            .sort((a, b) => b.count - a.count)
+            .slice(0, TOP_ITEMS_SHOWN)
+            .map(i => ({ apiName: i.apiName, count: i.count, avgPlacement: i.totalPlacement / i.count }))
+    };
+}
+
+function sortChampions(champions, sort) {
+    if (sort === 'placement') {
+        const eligible = champions.filter(c => c.plays >= MIN_PLAYS_FOR_PLACEMENT_SORT);
+        return (eligible.length > 0 ? eligible : [...champions])
+            .sort((a, b) => a.avgPlacement - b.avgPlacement || b.plays - a.plays);
+    }
+    return [...champions].sort((a, b) => b.plays - a.plays || a.avgPlacement - b.avgPlacement);
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('tft-units')
+        .setDescription('See which champions and items a player does best with')
+        .addStringOption(riotIdOption)
+        .addUserOption(userOption)
+        .addIntegerOption(option =>
+            option.setName('matches')
+                .setDescription('Number of recent matches to analyze (5-50)')
+                .setMinValue(5)
+                .setMaxValue(50)
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('sort')
+                .setDescription('Sort champions by (defaults to play count)')
+                .setRequired(false)
+                .addChoices(...Object.entries(SORT_LABELS).map(([value, name]) => ({ name, value }))))
+        .addStringOption(regionOption),
+
+    autocomplete: autocompleteRiotId,
+
+    async execute(interaction) {
+        await guildConfig.deferReply(interaction);
+
+        const matchCount = interaction.options.getInteger('matches') || await guildConfig.getMatchCount(interaction.guildId, 'tft-units');
+        const sort = interaction.options.getString('sort') || 'plays';
+
+        try {
+            const player = await resolvePlayer(interaction);
+            if (player.error) {
+                await interaction.editReply(player.error);
+                return;
+            }
+
+            const { summoner, region } = player;
+
+            const matchIds = await riotApi.getMatchIds(region, summoner.puuid, matchCount);
+
+            if (matchIds.length === 0) {
+                await interaction.editReply('❌ No recent matches found.');
+                return;
+            }
+
+            const matches = await matchStore.loadMatches(region, matchIds);
+            const boards = matches
+                .map(match => match && match.info.participants.find(p => p.puuid === summoner.puuid))
+                .filter(Boolean)
+                .map(p => ({ units: p.units, placement: p.placement }));
+
+            if (boards.length === 0) {
+                await interaction.editReply('❌ Could not load any recent matches.');
+                return;
+            }
+
+            const { champions, items } = aggregateUnits(boards);
+
+            const dataKey = `tft-units_${interaction.user.id}_${Date.now()}`;
+            unitsCache.set(dataKey, {
+                summoner,
+                region,
+                gameCount: boards.length,
+                champions,
+                items,
+                sort,
+                currentPage: 0,
+                timestamp: Date.now()
+            });
+
+            await showPage(interaction, dataKey);
+
+        } catch (error) {
+            console.error('Error in tft-units command:', error);
+            await interaction.editReply('❌ An error occurred while analyzing units.');
+        }
+    },
+
+    async handleButton(interaction) {
+        const parts = interaction.customId.split('_');
+        const action = parts.pop();
+        const dataKey = parts.join('_');
+
+        const sessionData = unitsCache.get(dataKey);
+
+        if (!sessionData) {
+            await interaction.reply({
+                content: '❌ Session expired. Please run /tft-units again.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (action === 'sort') {
+            sessionData.sort = sessionData.sort === 'plays' ? 'placement' : 'plays';
+            sessionData.currentPage = 0;
+        } else {
+            const pageCount = Math.ceil(sortChampions(sessionData.champions, sessionData.sort).length / PAGE_SIZE);
+            let newPage = sessionData.currentPage;
+            if (action === 'prev') newPage--;
+            if (action === 'next') newPage++;
+
+            if (newPage < 0 || newPage >= pageCount) {
+                await interaction.reply({
+                    content: '❌ No more pages in that direction.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            sessionData.currentPage = newPage;
+        }
+
+        sessionData.timestamp = Date.now();
+
+        await interaction.deferUpdate();
+        await showPage(interaction, dataKey);
+    }
+};
+
+async function itemList(apiNames) {
+    const names = await Promise.all(apiNames.map(async apiName => (await getItem(apiName)).name));
+    return names.join(', ');
+}
+
+async function showPage(interaction, dataKey) {
+    const { summoner, region, gameCount, champions, items, sort, currentPage } = unitsCache.get(dataKey);
+    const sorted = sortChampions(champions, sort);
+    const pageCount = Math.ceil(sorted.length / PAGE_SIZE);
+    const start = currentPage * PAGE_SIZE;
+
+    const fields = await Promise.all(sorted.slice(start, start + PAGE_SIZE).map(async (c, i) => {
+        const champion = await getChampion(c.characterId);
+        const builds = await Promise.all(c.builds.map(async b =>
+            `${await itemList(b.items)} - ${b.count}x, avg ${b.avgPlacement.toFixed(2)}`
+        ));
+
+        return {
+            name: `#${start + i + 1} ${champion.name}${champion.cost ? ` (${champion.cost}g)` : ''}`,
+            value:
+                `Played: ${c.plays} • Avg: ${c.avgPlacement.toFixed(2)} • 3★: ${c.threeStarRate.toFixed(0)}%\n` +
+                `**Builds:**${builds.length > 0 ? `\n${builds.join('\n')}` : ' None'}`,
+            inline: false
+        };
+    }));
+
+    const topItems = await Promise.all(items.map(async i =>
+        `${(await getItem(i.apiName)).name} (${i.count}x, avg ${i.avgPlacement.toFixed(2)})`
+    ));
+
+    const embed = new EmbedBuilder()
+        .setColor('#00D4FF')
+        .setAuthor({
+            name: `${summoner.gameName}#${summoner.tagLine} [${getRegion(region).label}]`,
+            iconURL: await profileIconUrl(summoner.profileIconId)
+        })
+        .setTitle(`🧪 Units & Items - Last ${gameCount} Games`)
+        .setDescription(`**Most used items:** ${topItems.join(' • ') || 'None'}`)
+        .addFields(fields)
+        .setTimestamp()
+        .setFooter({ text: `Sorted by ${SORT_LABELS[sort]} • Page ${currentPage + 1} of ${pageCount}` });
+
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${dataKey}_prev`)
+                .setLabel('◀ Previous')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(currentPage === 0),
+            new ButtonBuilder()
+                .setCustomId(`${dataKey}_next`)
+                .setLabel('Next ▶')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(currentPage >= pageCount - 1),
+            new ButtonBuilder()
+                .setCustomId(`${dataKey}_sort`)
+                .setLabel(`Sort by ${SORT_LABELS[sort === 'plays' ? 'placement' : 'plays']}`)
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+    await interaction.editReply({ embeds: [embed], components: [row] });
+}
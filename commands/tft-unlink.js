@@ -0,0 +1,19 @@
+const { SlashCommandBuilder } = require('discord.js');
+const links = require('../utils/links');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('tft-unlink')
+        .setDescription('Remove the Riot ID linked to your Discord account'),
+
+    async execute(interaction) {
+        const removed = await links.removeLink(interaction.user.id);
+
+        await interaction.reply({
+            content: removed
+                ? '✅ Your Riot account has been unlinked.'
+                : '❌ You don\'t have a linked Riot account.',
+            ephemeral: true
+        });
+    }
+};
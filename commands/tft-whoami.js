@@ -0,0 +1,45 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { getRegion } = require('../utils/regions');
+const lpHistory = require('../utils/lp-history');
+const links = require('../utils/links');
+const { getLeagueQueueName, formatLeagueEntry } = require('../utils/queues');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('tft-whoami')
+        .setDescription('Show the Riot ID linked to your Discord account'),
+
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const link = await links.getLink(interaction.user.id);
+            if (!link) {
+                await interaction.editReply('❌ You don\'t have a linked Riot account. Use `/tft-link` to add one.');
+                return;
+            }
+
+            await links.rememberGuild(interaction.user.id, interaction.guildId);
+
+            const rankedStats = await lpHistory.fetchEntries(link.region, link.puuid);
+            const rankedDisplay = rankedStats.length > 0
+                ? rankedStats.map(r => `${getLeagueQueueName(r.queueType)}: ${formatLeagueEntry(r)}`).join('\n')
+                : 'Unranked';
+
+            const embed = new EmbedBuilder()
+                .setColor('#00D4FF')
+                .setTitle(`🔗 ${link.gameName}#${link.tagLine}`)
+                .addFields(
+                    { name: 'Region', value: getRegion(link.region).label, inline: true },
+                    { name: 'Linked', value: `<t:${Math.floor(link.linkedAt / 1000)}:R>`, inline: true },
+                    { name: 'Rank', value: rankedDisplay, inline: false }
+                );
+
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Error in tft-whoami command:', error);
+            await interaction.editReply('❌ An error occurred while fetching your linked account.');
+        }
+    }
+};
@@ -1,34 +1,33 @@
-const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-const Canvas = require('@napi-rs/canvas');
-const fetch = require('node-fetch');
-
-// Cache for summoner data
-const summonerCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000;
+const { SlashCommandBuilder, AttachmentBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
+const { regionOption } = require('../utils/regions');
+const { riotIdOption, userOption, resolvePlayer, autocompleteRiotId } = require('../utils/players');
+const riotApi = require('../utils/riot-api');
+const matchStore = require('../utils/match-store');
+const lpHistory = require('../utils/lp-history');
+const {
+    TIER_STARS,
+    PLACEMENT_SUFFIX,
+    participantName,
+    buildMatchEmbed,
+    buildLobbyEmbed,
+    generateMatchCanvas,
+    generateLobbyCanvas
+} = require('../utils/match-card');
+const { getMatchQueue, pickRank } = require('../utils/queues');
+const { logDebug } = require('../utils/debug');
+const { championSplashUrls } = require('../utils/sets');
+const guildConfig = require('../utils/guild-config');
+const { loadImageWithCache, loadBackground, resolveTheme, themeOption } = require('../utils/renderer');
 
 // Match data cache
 const matchDataCache = new Map();
 const MATCH_DATA_TTL = 30 * 60 * 1000;
 
-// Match detail cache
-const matchDetailCache = new Map();
-const MATCH_DETAIL_TTL = 15 * 60 * 1000;
-
-// Canvas image cache (champion images, stars, backgrounds)
-const imageCache = new Map();
-const IMAGE_CACHE_TTL = 60 * 60 * 1000; // 1 hour
-
-// Pre-generated canvas cache
+// Rendered boards as PNG buffers (a few hundred KB, unlike a native canvas),
+// least recently used first and capped across all sessions
 const canvasCache = new Map();
 const CANVAS_CACHE_TTL = 30 * 60 * 1000; // 30 minutes
-
-let debugMode = true;
-
-function logDebug(...args) {
-    if (debugMode) {
-        console.log('[TFT DEBUG]', ...args);
-    }
-}
+const MAX_CACHED_CANVASES = 100;
 
 // Cleanup functions
 function cleanupOldCacheEntries() {
@@ -40,153 +39,53 @@ function cleanupOldCacheEntries() {
         }
     }
     
-    for (const [key, data] of matchDetailCache.entries()) {
-        if (now - data.timestamp > MATCH_DETAIL_TTL) {
-            matchDetailCache.delete(key);
-        }
-    }
-    
     for (const [key, data] of canvasCache.entries()) {
         if (now - data.timestamp > CANVAS_CACHE_TTL) {
             canvasCache.delete(key);
         }
     }
-    
-    for (const [key, data] of imageCache.entries()) {
-        if (now - data.timestamp > IMAGE_CACHE_TTL) {
-            imageCache.delete(key);
-        }
-    }
 }
 
 setInterval(cleanupOldCacheEntries, 5 * 60 * 1000);
 
-// Lookup tables
-const TIER_STARS = {
-    1: null,
-    2: 'https://raw.communitydragon.org/pbe/game/assets/ux/tft/notificationicons/silverstar.png',
-    3: 'https://raw.communitydragon.org/pbe/game/assets/ux/tft/notificationicons/goldstar.png'
-};
-
-const PLACEMENT_COLORS = {
-    1: '#FFD700', 2: '#FFD700',
-    3: '#d4d4d4', 4: '#d4d4d4',
-    5: '#945e1c', 6: '#945e1c',
-    7: '#000000', 8: '#000000'
-};
-
-const PLACEMENT_SUFFIX = {
-    1: 'st', 2: 'nd', 3: 'rd', 4: 'th',
-    5: 'th', 6: 'th', 7: 'th', 8: 'th'
-};
-
-// Optimized image loading with caching
-async function loadImageWithCache(url) {
-    // Check cache first
-    const cached = imageCache.get(url);
-    if (cached && (Date.now() - cached.timestamp < IMAGE_CACHE_TTL)) {
-        return cached.image;
-    }
-    
-    // Load from network
-    try {
-        logDebug(`Loading image: ${url}`);
-        const image = await Canvas.loadImage(url);
-        
-        // Cache it
-        imageCache.set(url, {
-            image,
-            timestamp: Date.now()
-        });
-        
-        return image;
-    } catch (error) {
-        logDebug(`Failed to load image ${url}:`, error.message);
-        return null;
-    }
-}
-
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('tft')
         .setDescription('View TFT match history with interactive navigation')
-        .addStringOption(option =>
-            option.setName('riotid')
-                .setDescription('Riot ID (e.g., Kuromi#NA1)')
-                .setRequired(true))
+        .addStringOption(riotIdOption)
+        .addUserOption(userOption)
         .addIntegerOption(option =>
             option.setName('matches')
                 .setDescription('Number of matches to load (1-20)')
                 .setMinValue(1)
                 .setMaxValue(20)
-                .setRequired(false)),
+                .setRequired(false))
+        .addStringOption(regionOption)
+        .addStringOption(themeOption),
+
+    autocomplete: autocompleteRiotId,
 
     async execute(interaction) {
-        await interaction.deferReply();
+        await guildConfig.deferReply(interaction);
 
-        const riotId = interaction.options.getString('riotid');
-        const matchCount = interaction.options.getInteger('matches') || 5;
-        const apiKey = process.env.RIOT_API_KEY;
+        const matchCount = interaction.options.getInteger('matches') || await guildConfig.getMatchCount(interaction.guildId, 'tft');
 
         try {
-            // Parse Riot ID
-            const [gameName, tagLine] = riotId.split('#');
-            if (!gameName || !tagLine) {
-                await interaction.editReply('❌ Invalid Riot ID format. Use: Name#TAG (e.g., Doublelift#NA1)');
-                return;
-            }
-
-            // Fetch account
-            const cacheKey = riotId.toLowerCase();
-            let account = summonerCache.get(cacheKey);
-            
-            if (!account || Date.now() - account.timestamp > CACHE_TTL) {
-                const accountRes = await fetch(
-                    `https://americas.api.riotgames.com/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}?api_key=${apiKey}`
-                );
-                
-                if (!accountRes.ok) {
-                    await interaction.editReply('❌ Riot ID not found. Check the format: Name#TAG (e.g., Doublelift#NA1)');
-                    return;
-                }
-                
-                account = await accountRes.json();
-                account.timestamp = Date.now();
-                summonerCache.set(cacheKey, account);
-            }
-
-            // Fetch summoner
-            const summonerRes = await fetch(
-                `https://na1.api.riotgames.com/tft/summoner/v1/summoners/by-puuid/${account.puuid}?api_key=${apiKey}`
-            );
-            
-            if (!summonerRes.ok) {
-                await interaction.editReply('❌ Summoner not found for this region.');
+            const player = await resolvePlayer(interaction);
+            if (player.error) {
+                await interaction.editReply(player.error);
                 return;
             }
             
-            const summoner = await summonerRes.json();
-            
-            summoner.gameName = account.gameName;
-            summoner.tagLine = account.tagLine;
+            const { summoner, region } = player;
 
             // Fetch ranked stats
-            const rankedRes = await fetch(
-                `https://na1.api.riotgames.com/tft/league/v1/entries/by-summoner/${summoner.id}?api_key=${apiKey}`
-            );
-            const rankedStats = await rankedRes.json();
-
-            const rankedDisplay = rankedStats.length > 0
-                ? `${rankedStats[0].tier} ${rankedStats[0].rank} - ${rankedStats[0].leaguePoints} LP`
-                : 'Unranked';
+            const leagueEntries = await lpHistory.fetchEntries(region, summoner.puuid);
 
             // Fetch match IDs
-            const matchesRes = await fetch(
-                `https://americas.api.riotgames.com/tft/match/v1/matches/by-puuid/${summoner.puuid}/ids?count=${matchCount}&api_key=${apiKey}`
-            );
-            const matchIds = await matchesRes.json();
+            const matchIds = await riotApi.getMatchIds(region, summoner.puuid, matchCount);
 
-            if (!matchIds || matchIds.length === 0) {
+            if (matchIds.length === 0) {
                 await interaction.editReply('❌ No matches found for this summoner.');
                 return;
             }
@@ -194,98 +93,71 @@ module.exports = {
             logDebug(`Starting pre-generation for ${matchIds.length} matches`);
             
             const allMatchDetails = {};
-            const preGenerationPromises = [];
+            const theme = await resolveTheme(interaction);
             
             // Load background image once
-            const bgPromise = loadImageWithCache('https://i.imgur.com/aRoCXLa.png');
+            const bgPromise = loadBackground(theme);
             
             // Load star images once
             const silverStarPromise = loadImageWithCache(TIER_STARS[2]);
             const goldStarPromise = loadImageWithCache(TIER_STARS[3]);
             
-            // Fetch all matches
-            for (const matchId of matchIds) {
-                const fetchPromise = (async () => {
-                    try {
-                        // Check cache
-                        const cached = matchDetailCache.get(matchId);
-                        if (cached && (Date.now() - cached.timestamp < MATCH_DETAIL_TTL)) {
-                            allMatchDetails[matchId] = cached.data;
-                            return { matchId, fromCache: true };
-                        }
-                        
-                        // Fetch from API
-                        logDebug(`Fetching match ${matchId} from API`);
-                        const matchRes = await fetch(
-                            `https://americas.api.riotgames.com/tft/match/v1/matches/${matchId}?api_key=${apiKey}`
-                        );
-                        
-                        if (!matchRes.ok) throw new Error(`API status: ${matchRes.status}`);
-                        
-                        const matchData = await matchRes.json();
-                        const playerData = matchData.info.participants.find(p => p.puuid === summoner.puuid);
-                        
-                        if (!playerData) throw new Error('Player data not found');
-                        
-                        const matchDetail = { matchData, playerData };
-                        matchDetailCache.set(matchId, {
-                            data: matchDetail,
-                            timestamp: Date.now()
-                        });
-                        
-                        allMatchDetails[matchId] = matchDetail;
-                        
-                        // Pre-load champion images for this match
-                        const championPromises = playerData.units.slice(0, 10).map(async (unit) => {
-                            const champName = unit.character_id.toLowerCase();
-                            const urls = [
-                                `https://raw.communitydragon.org/pbe/game/assets/ux/tft/championsplashes/patching/${champName}_square.tft_set16.png`,
-                                `https://raw.communitydragon.org/latest/game/assets/ux/tft/championsplashes/${champName}_square.tft_set16.png`
-                            ];
-                            
-                            for (const url of urls) {
-                                try {
-                                    await loadImageWithCache(url);
-                                    break; // Success, move to next champion
-                                } catch (e) {
-                                    continue;
-                                }
-                            }
-                        });
-                        
-                        await Promise.allSettled(championPromises);
-                        
-                        return { matchId, fromCache: false };
-                        
-                    } catch (error) {
-                        logDebug(`Failed to process match ${matchId}:`, error.message);
-                        return null;
+            // Load matches from the local store, fetching only ones we haven't seen
+            const matches = await matchStore.loadMatches(region, matchIds);
+            
+            await Promise.all(matches.map(async (matchData, i) => {
+                const matchId = matchIds[i];
+                
+                if (!matchData) {
+                    logDebug(`Failed to load match ${matchId}`);
+                    return;
+                }
+                
+                const playerData = matchData.info.participants.find(p => p.puuid === summoner.puuid);
+                
+                if (!playerData) {
+                    logDebug(`Player data not found in match ${matchId}`);
+                    return;
+                }
+                
+                allMatchDetails[matchId] = { matchData, playerData };
+                
+                // Pre-load champion images for this match
+                const championPromises = playerData.units.slice(0, 10).map(async (unit) => {
+                    for (const url of championSplashUrls(unit.character_id, matchData.info)) {
+                        if (await loadImageWithCache(url)) break; // Success, move to next champion
                     }
-                })();
+                });
                 
-                preGenerationPromises.push(fetchPromise);
-            }
+                await Promise.allSettled(championPromises);
+            }));
             
-            // Wait for everything
+            // Wait for shared images
             await Promise.all([bgPromise, silverStarPromise, goldStarPromise]);
-            const results = await Promise.allSettled(preGenerationPromises);
-            
-            const successful = results.filter(r => r.status === 'fulfilled' && r.value !== null);
-            const fromCacheCount = successful.filter(r => r.value.fromCache).length;
-            const fromApiCount = successful.filter(r => !r.value.fromCache).length;
             
-            logDebug(`Pre-generation complete: ${fromCacheCount} from cache, ${fromApiCount} from API`);
+            logDebug(`Pre-generation complete: ${Object.keys(allMatchDetails).length} of ${matchIds.length} matches loaded`);
+
+            // Page only through matches that loaded, so a failed one can't strand the buttons
+            const loadedMatchIds = matchIds.filter(id => allMatchDetails[id]);
+
+            if (loadedMatchIds.length === 0) {
+                await interaction.editReply('❌ Could not load any recent matches. Please try again.');
+                return;
+            }
 
             // Create session
             const dataKey = `tft_${interaction.user.id}_${Date.now()}`;
             const sessionData = {
                 summoner,
-                matchIds,
+                region,
+                matchIds: loadedMatchIds,
                 matchDetails: allMatchDetails,
                 currentIndex: 0,
-                rankedDisplay,
-                timestamp: Date.now(),
-                apiKey
+                view: summoner.puuid, // Board shown: a participant's puuid or 'lobby'
+                profiles: {}, // Other participants' icon/rank, fetched when first viewed
+                leagueEntries,
+                theme,
+                timestamp: Date.now()
             };
             
             matchDataCache.set(dataKey, sessionData);
@@ -341,16 +213,101 @@ module.exports = {
         }
 
         sessionData.currentIndex = newIndex;
+        sessionData.view = sessionData.summoner.puuid;
         sessionData.timestamp = Date.now();
         
         logDebug(`Navigating to match ${newIndex}`);
         
         await interaction.deferUpdate();
-        await showMatch(interaction, dataKey, newIndex, true);
+        await showMatch(interaction, dataKey, newIndex);
+    },
+
+    async handleSelectMenu(interaction) {
+        logDebug('Select menu used:', interaction.customId, interaction.values);
+
+        const parts = interaction.customId.split('_');
+        parts.pop(); // "view"
+        const dataKey = parts.join('_');
+
+        const sessionData = matchDataCache.get(dataKey);
+
+        if (!sessionData) {
+            await interaction.reply({ 
+                content: '❌ Session expired. Please run /tft again.', 
+                ephemeral: true 
+            });
+            return;
+        }
+
+        sessionData.view = interaction.values[0];
+        sessionData.timestamp = Date.now();
+
+        await interaction.deferUpdate();
+        await showMatch(interaction, dataKey, sessionData.currentIndex);
     }
 };
 
-async function showMatch(interaction, dataKey, index, isUpdate = false) {
+// Profile icon and rank (in the match's queue) for a lobby participant. League
+// entries are kept per player, since a session can page through several queues.
+async function getParticipantProfile(sessionData, participant, matchData) {
+    const leagueQueue = getMatchQueue(matchData.info.queue_id).leagueQueue;
+
+    if (participant.puuid === sessionData.summoner.puuid) {
+        return { summoner: sessionData.summoner, rankedDisplay: pickRank(sessionData.leagueEntries, leagueQueue) };
+    }
+
+    if (!sessionData.profiles[participant.puuid]) {
+        const [gameName, tagLine] = participantName(participant).split('#');
+        let profileIconId = 0;
+        let leagueEntries = [];
+
+        try {
+            const summoner = await riotApi.getSummonerByPuuid(sessionData.region, participant.puuid);
+            if (summoner) profileIconId = summoner.profileIconId;
+
+            leagueEntries = await riotApi.getLeagueEntries(sessionData.region, participant.puuid);
+        } catch (error) {
+            console.error('Failed to fetch participant profile:', error.message);
+        }
+
+        sessionData.profiles[participant.puuid] = {
+            summoner: { gameName, tagLine: tagLine || '', profileIconId },
+            leagueEntries
+        };
+    }
+
+    const profile = sessionData.profiles[participant.puuid];
+    return { summoner: profile.summoner, rankedDisplay: pickRank(profile.leagueEntries, leagueQueue) };
+}
+
+// Lobby picker: overview plus every participant by placement
+function buildLobbyMenu(dataKey, matchData, view) {
+    const participants = [...matchData.info.participants].sort((a, b) => a.placement - b.placement);
+
+    const options = [
+        {
+            label: 'Lobby overview',
+            description: 'All eight boards by placement',
+            value: 'lobby',
+            default: view === 'lobby'
+        },
+        ...participants.map(p => ({
+            label: `${p.placement}${PLACEMENT_SUFFIX[p.placement]} - ${participantName(p)}`.slice(0, 100),
+            value: p.puuid,
+            default: view === p.puuid
+        }))
+    ];
+
+    return new ActionRowBuilder()
+        .addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`${dataKey}_view`)
+                .setPlaceholder('View another board')
+                .addOptions(options)
+        );
+}
+
+async function showMatch(interaction, dataKey, index) {
     const startTime = Date.now();
     logDebug(`showMatch called: index=${index}`);
     
@@ -361,91 +318,64 @@ async function showMatch(interaction, dataKey, index, isUpdate = false) {
         return;
     }
     
-    const { matchIds, matchDetails, summoner, rankedDisplay } = sessionData;
+    const { matchIds, matchDetails, summoner, region, view, theme } = sessionData;
     const matchId = matchIds[index];
+    const matchDetail = matchDetails[matchId];
+    
+    if (!matchDetail) {
+        await interaction.editReply({ content: '❌ Match data not found.', components: [] });
+        return;
+    }
+    
+    const { matchData } = matchDetail;
+    const isLobby = view === 'lobby';
+    const playerData = isLobby
+        ? null
+        : matchData.info.participants.find(p => p.puuid === view) || matchDetail.playerData;
     
     // Check for cached canvas first
-    const canvasCacheKey = `${dataKey}_${matchId}`;
+    const canvasCacheKey = `${dataKey}_${matchId}_${isLobby ? 'lobby' : playerData.puuid}`;
     const cachedCanvas = canvasCache.get(canvasCacheKey);
     
-    let canvas;
+    let png;
     let fromCache = false;
     
     if (cachedCanvas && (Date.now() - cachedCanvas.timestamp < CANVAS_CACHE_TTL)) {
         logDebug(`Using cached canvas for match ${index}`);
-        canvas = cachedCanvas.canvas;
+        png = cachedCanvas.png;
         fromCache = true;
+        canvasCache.delete(canvasCacheKey);
+        canvasCache.set(canvasCacheKey, cachedCanvas);
     } else {
-        // Generate new canvas
-        const matchDetail = matchDetails[matchId];
-        if (!matchDetail) {
-            await interaction.editReply({ content: '❌ Match data not found.', components: [] });
-            return;
-        }
+        logDebug(`Generating new canvas for match ${index} (${isLobby ? 'lobby' : 'board'})`);
+        const canvas = isLobby
+            ? await generateLobbyCanvas(matchData, summoner.puuid, theme)
+            : await generateMatchCanvas(playerData, matchData, theme);
+        png = canvas.toBuffer('image/png');
         
-        logDebug(`Generating new canvas for match ${index}`);
-        canvas = await generateMatchCanvas(matchDetail.playerData, matchDetail.matchData);
-        
-        // Cache the canvas for future pagination
+        // Cache the image for future pagination
+        canvasCache.delete(canvasCacheKey);
         canvasCache.set(canvasCacheKey, {
-            canvas,
+            png,
             timestamp: Date.now()
         });
+        if (canvasCache.size > MAX_CACHED_CANVASES) {
+            canvasCache.delete(canvasCache.keys().next().value);
+        }
     }
     
-    const matchDetail = matchDetails[matchId];
-    const { playerData, matchData } = matchDetail;
-    
-    const attachment = new AttachmentBuilder(canvas.toBuffer('image/png'), { name: 'match.png' });
+    const attachment = new AttachmentBuilder(png, { name: 'match.png' });
 
-    // Build embed
-    const matchType = matchData.info.tft_game_type === 'pairs' ? 'Double Up' : 'Ranked';
-    
-    let displayPlacement = playerData.placement;
-    let placementText = matchType;
-    if (matchType === 'Double Up') {
-        displayPlacement = Math.ceil(playerData.placement / 2);
-        placementText = 'Double Up';
+    let embed;
+    if (isLobby) {
+        embed = await buildLobbyEmbed(matchData, summoner, region);
+    } else {
+        const profile = await getParticipantProfile(sessionData, playerData, matchData);
+        embed = await buildMatchEmbed(playerData, matchData, profile.summoner, region, profile.rankedDisplay);
     }
-    
-    // Format traits
-    const traitsByTier = {
-        gold: [],
-        silver: [],
-        bronze: []
-    };
-    
-    playerData.traits
-        .filter(t => t.tier_current > 0)
-        .forEach(t => {
-            const cleanName = t.name.replace(/^TFT\d+_|^Set\d+_/g, '');
-            const traitStr = `${cleanName} (${t.num_units})`;
-            
-            if (t.tier_current === 3) traitsByTier.gold.push(traitStr);
-            else if (t.tier_current === 2) traitsByTier.silver.push(traitStr);
-            else traitsByTier.bronze.push(traitStr);
-        });
-    
-    let traitsDisplay = '';
-    if (traitsByTier.gold.length > 0) traitsDisplay += `🏆 ${traitsByTier.gold.join(' • ')}\n`;
-    if (traitsByTier.silver.length > 0) traitsDisplay += `🥈 ${traitsByTier.silver.join(' • ')}\n`;
-    if (traitsByTier.bronze.length > 0) traitsDisplay += `🥉 ${traitsByTier.bronze.join(' • ')}`;
-    traitsDisplay = traitsDisplay.trim() || 'None';
-
-    const embed = new EmbedBuilder()
-        .setColor(PLACEMENT_COLORS[playerData.placement])
-        .setAuthor({ 
-            name: `${summoner.gameName}#${summoner.tagLine} - ${rankedDisplay}`, 
-            iconURL: `https://ddragon.leagueoflegends.com/cdn/15.18.1/img/profileicon/${summoner.profileIconId}.png` 
-        })
-        .setTitle(`${placementText} - ${displayPlacement}${PLACEMENT_SUFFIX[displayPlacement]} Place`)
-        .setDescription(
-            `**Level:** ${playerData.level} | **Eliminations:** ${playerData.players_eliminated} | **Damage:** ${playerData.total_damage_to_players}\n\n` +
-            `**Traits:**\n${traitsDisplay}`
-        )
+    embed
         .setImage('attachment://match.png')
-        .setFooter({ text: `Match ${index + 1} of ${matchIds.length}` })
-        .setTimestamp(matchData.info.game_datetime);
+        .setFooter({ text: `Match ${index + 1} of ${matchIds.length}` });
 
     // Navigation buttons
     const row = new ActionRowBuilder()
@@ -462,119 +392,14 @@ async function showMatch(interaction, dataKey, index, isUpdate = false) {
                 .setDisabled(index === matchIds.length - 1)
         );
 
-    const payload = { embeds: [embed], files: [attachment], components: [row] };
+    const payload = {
+        embeds: [embed],
+        files: [attachment],
+        components: [buildLobbyMenu(dataKey, matchData, isLobby ? 'lobby' : playerData.puuid), row]
+    };
 
-    if (isUpdate) {
-        await interaction.editReply(payload);
-    } else {
-        await interaction.editReply(payload);
-    }
+    await interaction.editReply(payload);
     
     const totalTime = Date.now() - startTime;
     logDebug(`Match ${index} rendered in ${totalTime}ms (canvas: ${fromCache ? 'cached' : 'generated'})`);
 }
-
-async function generateMatchCanvas(playerData, matchData) {
-    const startTime = Date.now();
-    const canvas = Canvas.createCanvas(700, 400);
-    const ctx = canvas.getContext('2d');
-
-    // Background (cached)
-    const bg = await loadImageWithCache('https://i.imgur.com/aRoCXLa.png');
-    if (bg) {
-        ctx.drawImage(bg, 0, 0, 700, 400);
-    } else {
-        ctx.fillStyle = '#1a1a1a';
-        ctx.fillRect(0, 0, 700, 400);
-    }
-
-    // Grid positions
-    const positions = [
-        [5, 105], [145, 105], [285, 105], [425, 105], [565, 105],
-        [5, 255], [145, 255], [285, 255], [425, 255], [565, 255]
-    ];
-
-    const unitCount = Math.min(playerData.units.length, 10);
-    
-    // Pre-load all champion images for this match
-    const championPromises = playerData.units.slice(0, unitCount).map(async (unit, i) => {
-        const champName = unit.character_id.toLowerCase();
-        const urls = [
-            `https://raw.communitydragon.org/pbe/game/assets/ux/tft/championsplashes/patching/${champName}_square.tft_set16.png`
-        ];
-        
-        let champImage = null;
-        for (const url of urls) {
-            champImage = await loadImageWithCache(url);
-            if (champImage) break;
-        }
-        
-        return { index: i, unit, champImage };
-    });
-    
-    const championResults = await Promise.allSettled(championPromises);
-
-    // Draw all champions
-    for (const result of championResults) {
-        if (result.status !== 'fulfilled' || !result.value) continue;
-        
-        const { index, unit, champImage } = result.value;
-        const [x, y] = positions[index];
-
-        // Draw unit box
-        ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = 2;
-        ctx.strokeRect(x, y, 130, 140);
-
-        if (champImage) {
-            ctx.drawImage(champImage, x, y, 130, 140);
-        } else {
-            // Fallback placeholder
-            ctx.fillStyle = '#2a2a2a';
-            ctx.fillRect(x, y, 130, 140);
-            ctx.fillStyle = '#ffffff';
-            ctx.font = 'bold 14px Arial';
-            ctx.textAlign = 'center';
-            
-            const displayName = unit.character_id.replace('TFT16_', '').replace('_', ' ');
-            const words = displayName.split(' ');
-            if (words.length > 1) {
-                ctx.fillText(words[0], x + 65, y + 60);
-                ctx.fillText(words[1], x + 65, y + 80);
-            } else {
-                ctx.fillText(displayName.slice(0, 12), x + 65, y + 70);
-            }
-            
-            ctx.textAlign = 'left';
-        }
-
-        // Draw stars (cached)
-        if (unit.tier > 1) {
-            const starUrl = TIER_STARS[unit.tier];
-            if (starUrl) {
-                const starImage = await loadImageWithCache(starUrl);
-                if (starImage) {
-                    const starCount = unit.tier;
-                    const startX = x + (130 - starCount * 20) / 2;
-                    
-                    for (let s = 0; s < starCount; s++) {
-                        ctx.drawImage(starImage, startX + s * 20, y + 115, 20, 20);
-                    }
-                } else {
-                    // Text fallback
-                    ctx.fillStyle = '#FFD700';
-                    ctx.font = 'bold 16px Arial';
-                    ctx.textAlign = 'center';
-                    const stars = '★'.repeat(unit.tier);
-                    ctx.fillText(stars, x + 65, y + 130);
-                    ctx.textAlign = 'left';
-                }
-            }
-        }
-    }
-
-    const generationTime = Date.now() - startTime;
-    logDebug(`Canvas generated in ${generationTime}ms`);
-    
-    return canvas;
-}
\ No newline at end of file
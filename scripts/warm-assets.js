@@ -0,0 +1,74 @@
+// Downloads the current set's champion splashes, item, augment and trait icons,
+// stars and the branded background into the asset cache, so cards render
+// without hitting the CDNs. Usage: npm run warm-assets [-- <set number>]
+require('dotenv').config();
+const { loadCatalog } = require('../utils/static-data');
+const { championSplashUrls } = require('../utils/sets');
+const { getAsset } = require('../utils/asset-cache');
+const { mapWithConcurrency } = require('../utils/riot-api');
+const { TIER_STARS } = require('../utils/match-card');
+const { BRANDED_BACKGROUND } = require('../utils/renderer');
+
+const DOWNLOAD_CONCURRENCY = 8;
+
+// Tries each candidate URL until one is cached
+async function warm(urls) {
+    for (const url of urls) {
+        if (await getAsset(url)) return true;
+    }
+    return false;
+}
+
+// Newest set in the catalog, going by champion API names like TFT16_Jinx
+function latestCatalogSet(champions) {
+    const numbers = [...champions.keys()]
+        .map(apiName => /^TFT(\d+)_/.exec(apiName))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+    return Math.max(...numbers);
+}
+
+async function main() {
+    const { items, champions, traits } = await loadCatalog();
+
+    if (champions.size === 0) {
+        throw new Error('TFT static data is unavailable, nothing to warm');
+    }
+
+    const setNumber = Number(process.argv[2]) || latestCatalogSet(champions);
+    const prefix = `TFT${setNumber}_`;
+
+    // Each entry is a list of candidate URLs for one asset
+    const groups = {
+        champions: [...champions.keys()]
+            .filter(apiName => apiName.startsWith(prefix))
+            .map(apiName => championSplashUrls(apiName, { tft_set_number: setNumber })),
+        // Core items are shared across sets; augments and set items carry the prefix
+        items: [...items.entries()]
+            .filter(([apiName, item]) => item.iconUrl && (apiName.startsWith('TFT_Item_') || apiName.startsWith(prefix)))
+            .map(([, item]) => [item.iconUrl]),
+        traits: [...traits.entries()]
+            .filter(([apiName, trait]) => trait.iconUrl && apiName.startsWith(prefix))
+            .map(([, trait]) => [trait.iconUrl]),
+        other: [BRANDED_BACKGROUND, TIER_STARS[2], TIER_STARS[3]].map(url => [url])
+    };
+
+    console.log(`🔄 Warming asset cache for Set ${setNumber}...`);
+
+    let failed = 0;
+    for (const [name, assets] of Object.entries(groups)) {
+        const results = await mapWithConcurrency(assets, DOWNLOAD_CONCURRENCY, warm);
+        const cached = results.filter(Boolean).length;
+        failed += assets.length - cached;
+        console.log(`   ${name}: ${cached} of ${assets.length} cached`);
+    }
+
+    console.log(failed > 0 ? `⚠️ ${failed} assets could not be downloaded.` : '✅ Asset cache is warm.');
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Failed to warm asset cache:', error.message);
+        process.exit(1);
+    });
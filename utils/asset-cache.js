@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { dataPath, writeFileAtomic } = require('./storage');
+const { logDebug } = require('./debug');
+
+// Downloaded CDN images (splashes, icons, stars, the branded background), one
+// file per URL. CDN assets don't change under the same URL, so files are kept
+// indefinitely. User-supplied images never go here, see downloadUserImage.
+const ASSET_DIR = dataPath('assets');
+
+const MAX_ASSET_BYTES = 10 * 1024 * 1024;
+
+// A hung download would otherwise be shared with every render waiting on the
+// same URL through inFlight, and the placeholder would never be drawn
+const ASSET_TIMEOUT = 15 * 1000;
+
+// Limits for images from URLs people paste into /tft-config
+const MAX_USER_IMAGE_BYTES = 5 * 1024 * 1024;
+const USER_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+const USER_IMAGE_TIMEOUT = 10 * 1000;
+
+// A URL that just failed isn't retried for a while, so an outage costs one
+// request per asset instead of one per render
+const MISSING_RETRY_DELAY = 5 * 60 * 1000;
+
+const missingAssets = new Map();
+const inFlight = new Map();
+
+function assetPath(url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    const ext = path.extname(new URL(url).pathname).toLowerCase() || '.png';
+    return path.join(ASSET_DIR, `${hash}${ext}`);
+}
+
+async function readAsset(filePath) {
+    try {
+        return await fs.promises.readFile(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Failed to read cached asset ${filePath}:`, error.message);
+        }
+        return null;
+    }
+}
+
+async function downloadAsset(url, filePath) {
+    const res = await fetch(url, { size: MAX_ASSET_BYTES, timeout: ASSET_TIMEOUT });
+    if (!res.ok) throw new Error(`status ${res.status}`);
+
+    const data = await res.buffer();
+    await writeFileAtomic(filePath, data).catch(error => {
+        console.error(`Failed to cache asset ${url}:`, error.message);
+    });
+    return data;
+}
+
+// Raw bytes for an asset URL: from disk when we've fetched it before, otherwise
+// downloaded and saved. Resolves to null when neither has it.
+function getAsset(url) {
+    if (inFlight.has(url)) return inFlight.get(url);
+
+    const promise = (async () => {
+        const filePath = assetPath(url);
+        const cached = await readAsset(filePath);
+        if (cached) return cached;
+
+        const failedAt = missingAssets.get(url);
+        if (failedAt && Date.now() - failedAt < MISSING_RETRY_DELAY) return null;
+
+        try {
+            logDebug(`Downloading asset: ${url}`);
+            const data = await downloadAsset(url, filePath);
+            missingAssets.delete(url);
+            return data;
+        } catch (error) {
+            logDebug(`Failed to download asset ${url}:`, error.message);
+            missingAssets.set(url, Date.now());
+            return null;
+        }
+    })().finally(() => inFlight.delete(url));
+
+    inFlight.set(url, promise);
+    return promise;
+}
+
+// Raw bytes of a user-supplied image, straight from the URL and never written to
+// disk. Rejects anything that isn't a PNG or JPEG within MAX_USER_IMAGE_BYTES.
+async function downloadUserImage(url) {
+    const res = await fetch(url, { size: MAX_USER_IMAGE_BYTES, timeout: USER_IMAGE_TIMEOUT });
+    if (!res.ok) throw new Error(`status ${res.status}`);
+
+    const contentType = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!USER_IMAGE_TYPES.includes(contentType)) {
+        throw new Error(`unsupported content type ${contentType || '(none)'}`);
+    }
+    return res.buffer();
+}
+
+module.exports = {
+    ASSET_DIR,
+    MAX_USER_IMAGE_BYTES,
+    getAsset,
+    downloadUserImage
+};
@@ -0,0 +1,68 @@
+const { getChampion, getTrait } = require('./static-data');
+
+// A 3-star carry at or below this cost means the board was built around rerolling it
+const REROLL_MAX_COST = 3;
+
+// Dominant trait: the strongest active breakpoint, ignoring unique (single
+// breakpoint) traits, most units first on ties
+function pickDominantTrait(traits) {
+    return traits
+        .filter(t => t.style > 0 && t.tier_total > 1)
+        .sort((a, b) => b.style - a.style || b.num_units - a.num_units)[0] || null;
+}
+
+// Carry: the unit holding the most items, then highest star level, then cost
+function pickCarry(units) {
+    return [...units]
+        .sort((a, b) =>
+            (b.itemNames || []).length - (a.itemNames || []).length ||
+            b.tier - a.tier ||
+            b.rarity - a.rarity
+        )[0] || null;
+}
+
+// Names a board's archetype from its dominant trait and carry, e.g.
+// "Enforcer Jinx" or "Sniper Caitlyn Reroll". Boards with the same name group together.
+async function classifyComp(playerData) {
+    const trait = pickDominantTrait(playerData.traits || []);
+    const carryUnit = pickCarry(playerData.units || []);
+
+    const traitName = trait ? (await getTrait(trait.name)).name : null;
+    const carry = carryUnit ? await getChampion(carryUnit.character_id) : null;
+
+    if (!traitName && !carry) return { name: 'Unknown', trait: null, carry: null };
+
+    const cost = carry && (carry.cost || carryUnit.rarity + 1);
+    const reroll = carry && carryUnit.tier === 3 && cost <= REROLL_MAX_COST;
+
+    const name = [traitName, carry && carry.name, reroll && 'Reroll'].filter(Boolean).join(' ');
+    return { name, trait: traitName, carry: carry && carry.name };
+}
+
+// Per-comp games, average placement and top 4 rate (top 2 for Double Up teams),
+// most played first. `games` are { comp, placement }.
+function summarizeComps(games, topHalf = 4) {
+    const byComp = new Map();
+
+    for (const { comp, placement } of games) {
+        const summary = byComp.get(comp.name) || { name: comp.name, games: 0, totalPlacement: 0, top4s: 0 };
+        summary.games++;
+        summary.totalPlacement += placement;
+        if (placement <= topHalf) summary.top4s++;
+        byComp.set(comp.name, summary);
+    }
+
+    return [...byComp.values()]
+        .map(s => ({
+            name: s.name,
+            games: s.games,
+            avgPlacement: s.totalPlacement / s.games,
+            top4Rate: s.top4s / s.games * 100
+        }))
+        .sort((a, b) => b.games - a.games || a.avgPlacement - b.avgPlacement);
+}
+
+module.exports = {
+    classifyComp,
+    summarizeComps
+};
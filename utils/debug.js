@@ -0,0 +1,12 @@
+// Verbose logging, enabled with TFT_DEBUG=true in .env
+const debugMode = process.env.TFT_DEBUG === 'true';
+
+function logDebug(...args) {
+    if (debugMode) {
+        console.log('[TFT DEBUG]', ...args);
+    }
+}
+
+module.exports = {
+    logDebug
+};
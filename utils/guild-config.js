@@ -0,0 +1,74 @@
+const { createJsonStore } = require('./storage');
+const { DEFAULT_REGION } = require('./regions');
+
+// Guild ID -> settings changed through /tft-config; anything unset falls back to DEFAULTS
+const configStore = createJsonStore('guild-config');
+
+// Commands with a `matches` option: how many they load when it's left out and
+// the range their option accepts
+const MATCH_COUNT_LIMITS = {
+    'tft': { default: 5, min: 1, max: 20 },
+    'tft-stats': { default: 20, min: 5, max: 50 },
+    'tft-units': { default: 20, min: 5, max: 50 },
+    'tft-compare': { default: 20, min: 5, max: 50 },
+    'tft-climb': { default: 50, min: 10, max: 100 }
+};
+
+const DEFAULT_MATCH_COUNTS = Object.fromEntries(
+    Object.entries(MATCH_COUNT_LIMITS).map(([command, limits]) => [command, limits.default])
+);
+
+const DEFAULTS = {
+    region: DEFAULT_REGION,
+    matchCounts: DEFAULT_MATCH_COUNTS,
+    channelId: null,
+    theme: 'dark',
+    backgroundUrl: null,
+    ephemeral: false
+};
+
+// Settings for a guild with defaults filled in. DMs always get the defaults.
+async function getGuildConfig(guildId) {
+    const stored = guildId ? await configStore.get(guildId) : null;
+    return {
+        ...DEFAULTS,
+        ...stored,
+        matchCounts: { ...DEFAULT_MATCH_COUNTS, ...(stored && stored.matchCounts) }
+    };
+}
+
+async function updateGuildConfig(guildId, changes) {
+    const stored = (await configStore.get(guildId)) || {};
+    const updated = { ...stored, ...changes };
+    if (changes.matchCounts) {
+        updated.matchCounts = { ...stored.matchCounts, ...changes.matchCounts };
+    }
+    await configStore.set(guildId, updated);
+    return getGuildConfig(guildId);
+}
+
+function resetGuildConfig(guildId) {
+    return configStore.delete(guildId);
+}
+
+// Default `matches` for a command in this guild
+async function getMatchCount(guildId, commandName) {
+    return (await getGuildConfig(guildId)).matchCounts[commandName];
+}
+
+// Defers the reply as public or ephemeral per the guild's setting
+async function deferReply(interaction) {
+    const { ephemeral } = await getGuildConfig(interaction.guildId);
+    await interaction.deferReply({ ephemeral });
+}
+
+module.exports = {
+    MATCH_COUNT_LIMITS,
+    DEFAULT_MATCH_COUNTS,
+    DEFAULTS,
+    getGuildConfig,
+    updateGuildConfig,
+    resetGuildConfig,
+    getMatchCount,
+    deferReply
+};
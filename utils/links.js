@@ -0,0 +1,54 @@
+const { createJsonStore } = require('./storage');
+
+// Discord user ID -> { puuid, gameName, tagLine, region, guildIds, linkedAt }
+const linkStore = createJsonStore('links');
+
+function getLink(userId) {
+    return linkStore.get(userId);
+}
+
+async function setLink(userId, account, region, guildId) {
+    const existing = await linkStore.get(userId);
+    const guildIds = new Set(existing ? existing.guildIds : []);
+    if (guildId) guildIds.add(guildId);
+
+    return linkStore.set(userId, {
+        puuid: account.puuid,
+        gameName: account.gameName,
+        tagLine: account.tagLine,
+        region,
+        guildIds: [...guildIds],
+        linkedAt: Date.now()
+    });
+}
+
+function removeLink(userId) {
+    return linkStore.delete(userId);
+}
+
+// Remember which guilds a linked user is active in, so guild-scoped
+// features (autocomplete, leaderboards) can find them
+async function rememberGuild(userId, guildId) {
+    if (!guildId) return;
+
+    const link = await linkStore.get(userId);
+    if (!link || link.guildIds.includes(guildId)) return;
+
+    link.guildIds.push(guildId);
+    await linkStore.set(userId, link);
+}
+
+async function getGuildLinks(guildId) {
+    const entries = await linkStore.entries();
+    return entries
+        .filter(([, link]) => link.guildIds.includes(guildId))
+        .map(([userId, link]) => ({ userId, ...link }));
+}
+
+module.exports = {
+    getLink,
+    setLink,
+    removeLink,
+    rememberGuild,
+    getGuildLinks
+};
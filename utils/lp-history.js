@@ -0,0 +1,110 @@
+const riotApi = require('./riot-api');
+const { createJsonStore } = require('./storage');
+const { getEntryValue } = require('./ranks');
+
+const MAX_SNAPSHOTS = 500;
+
+// "puuid:queueType" -> [{ timestamp, checkedAt, tier, rank, leaguePoints, ratedTier, ratedRating, wins, losses }]
+const historyStore = createJsonStore('lp-history');
+
+function snapshotKey(puuid, queueType) {
+    return `${puuid}:${queueType}`;
+}
+
+function toSnapshot(entry, now) {
+    return {
+        timestamp: now,
+        checkedAt: now,
+        tier: entry.tier,
+        rank: entry.rank,
+        leaguePoints: entry.leaguePoints,
+        ratedTier: entry.ratedTier,
+        ratedRating: entry.ratedRating,
+        wins: entry.wins,
+        losses: entry.losses
+    };
+}
+
+function sameState(a, b) {
+    return a.wins === b.wins && a.losses === b.losses && getEntryValue(a) === getEntryValue(b);
+}
+
+// Appends a snapshot per queue when anything changed, in a single store write.
+// Unchanged queues only move `checkedAt` on the cached snapshot; that is
+// persisted with the next write instead of rewriting the file on every lookup.
+async function recordSnapshots(puuid, entries) {
+    const now = Date.now();
+    const changed = {};
+
+    for (const entry of entries) {
+        const key = snapshotKey(puuid, entry.queueType);
+        const snapshots = (await historyStore.get(key)) || [];
+        const last = snapshots[snapshots.length - 1];
+        const snapshot = toSnapshot(entry, now);
+
+        if (last && sameState(last, snapshot)) {
+            last.checkedAt = now;
+        } else {
+            snapshots.push(snapshot);
+            changed[key] = snapshots.slice(-MAX_SNAPSHOTS);
+        }
+    }
+
+    if (Object.keys(changed).length > 0) {
+        await historyStore.setMany(changed);
+    }
+}
+
+// Fetches league entries and snapshots them in one go
+async function fetchEntries(region, puuid) {
+    const entries = await riotApi.getLeagueEntries(region, puuid);
+    try {
+        await recordSnapshots(puuid, entries);
+    } catch (error) {
+        console.error('Failed to record LP snapshot:', error.message);
+    }
+    return entries;
+}
+
+async function getSnapshots(puuid, queueType) {
+    return (await historyStore.get(snapshotKey(puuid, queueType))) || [];
+}
+
+// Attributes the LP delta between consecutive snapshots to the matches played
+// in between. Only used when the number of matches we have in that window equals
+// the games the league entry counted, so partial windows stay estimated.
+// `matches` are { matchId, timestamp }; returns Map matchId -> { lpChange, totalAfter }.
+function attributeLP(snapshots, matches) {
+    const attributed = new Map();
+
+    for (let i = 1; i < snapshots.length; i++) {
+        const before = snapshots[i - 1];
+        const after = snapshots[i];
+        const gamesPlayed = (after.wins + after.losses) - (before.wins + before.losses);
+        if (gamesPlayed <= 0) continue;
+
+        const windowMatches = matches
+            .filter(m => m.timestamp > before.checkedAt && m.timestamp <= after.timestamp)
+            .sort((a, b) => a.timestamp - b.timestamp);
+        if (windowMatches.length !== gamesPlayed) continue;
+
+        const startValue = getEntryValue(before);
+        const delta = getEntryValue(after) - startValue;
+
+        // Several games between snapshots: the total is real, the split is even
+        windowMatches.forEach((match, k) => {
+            const totalAfter = startValue + Math.round(delta * (k + 1) / gamesPlayed);
+            const totalBefore = startValue + Math.round(delta * k / gamesPlayed);
+            attributed.set(match.matchId, { lpChange: totalAfter - totalBefore, totalAfter });
+        });
+    }
+
+    return attributed;
+}
+
+module.exports = {
+    recordSnapshots,
+    fetchEntries,
+    getSnapshots,
+    attributeLP
+};
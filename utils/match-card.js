@@ -0,0 +1,455 @@
+const { EmbedBuilder } = require('discord.js');
+const Canvas = require('@napi-rs/canvas');
+const { loadImageWithCache, font, drawBackground } = require('./renderer');
+const { getRegion } = require('./regions');
+const { getItem, getAugment, getChampion, getTrait, profileIconUrl } = require('./static-data');
+const { championSplashUrls } = require('./sets');
+const { HIGH_GOLD_LEFT, formatStage, formatTimeAlive, wasEliminated } = require('./rounds');
+const { logDebug } = require('./debug');
+
+// Lookup tables
+const TIER_STARS = {
+    1: null,
+    2: 'https://raw.communitydragon.org/pbe/game/assets/ux/tft/notificationicons/silverstar.png',
+    3: 'https://raw.communitydragon.org/pbe/game/assets/ux/tft/notificationicons/goldstar.png'
+};
+
+const PLACEMENT_COLORS = {
+    1: '#FFD700', 2: '#FFD700',
+    3: '#d4d4d4', 4: '#d4d4d4',
+    5: '#945e1c', 6: '#945e1c',
+    7: '#000000', 8: '#000000'
+};
+
+const PLACEMENT_SUFFIX = {
+    1: 'st', 2: 'nd', 3: 'rd', 4: 'th',
+    5: 'th', 6: 'th', 7: 'th', 8: 'th'
+};
+
+// Unit tile borders in the lobby overview by star level
+const STAR_BORDER_COLORS = { 1: '#8c6f5a', 2: '#C0C0C0', 3: '#FFD700' };
+
+// Trait badge fills by `style` from the match API; traits with a single
+// breakpoint (tier_total === 1) are unique and get their own color
+const TRAIT_STYLE_COLORS = {
+    1: '#A0715E', // Bronze
+    2: '#AAB7C0', // Silver
+    3: '#E7B541', // Gold
+    4: ['#FFB3F0', '#9AF5FF', '#FFF6A8'] // Prismatic
+};
+const UNIQUE_TRAIT_COLOR = '#E9771E';
+
+// Match embed shared by /tft and the match tracker. Callers add the image and footer.
+async function buildMatchEmbed(playerData, matchData, summoner, region, rankedDisplay) {
+    const matchType = matchData.info.tft_game_type === 'pairs' ? 'Double Up' : 'Ranked';
+    
+    let displayPlacement = playerData.placement;
+    let placementText = matchType;
+    if (matchType === 'Double Up') {
+        displayPlacement = Math.ceil(playerData.placement / 2);
+        placementText = 'Double Up';
+    }
+    
+    // Format traits
+    const traitsByTier = {
+        gold: [],
+        silver: [],
+        bronze: []
+    };
+    
+    const activeTraits = playerData.traits.filter(t => t.tier_current > 0);
+    const traitNames = await Promise.all(activeTraits.map(async (t) => (await getTrait(t.name)).name));
+
+    activeTraits.forEach((t, i) => {
+        const traitStr = `${traitNames[i]} (${t.num_units})`;
+        
+        if (t.tier_current === 3) traitsByTier.gold.push(traitStr);
+        else if (t.tier_current === 2) traitsByTier.silver.push(traitStr);
+        else traitsByTier.bronze.push(traitStr);
+    });
+    
+    // Format items per unit
+    const itemLines = await Promise.all(
+        playerData.units
+            .filter(u => u.itemNames && u.itemNames.length > 0)
+            .map(async (u) => {
+                const names = await Promise.all(u.itemNames.map(async (apiName) => (await getItem(apiName)).name));
+                const champion = await getChampion(u.character_id);
+                return `**${champion.name}:** ${names.join(', ')}`;
+            })
+    );
+    const itemsDisplay = itemLines.join('\n').slice(0, 1024) || 'None';
+    
+    // Format augments (not present on older matches)
+    const augmentNames = await Promise.all(
+        (playerData.augments || []).map(async (apiName) => (await getAugment(apiName)).name)
+    );
+    
+    let traitsDisplay = '';
+    if (traitsByTier.gold.length > 0) traitsDisplay += `🏆 ${traitsByTier.gold.join(' • ')}\n`;
+    if (traitsByTier.silver.length > 0) traitsDisplay += `🥈 ${traitsByTier.silver.join(' • ')}\n`;
+    if (traitsByTier.bronze.length > 0) traitsDisplay += `🥉 ${traitsByTier.bronze.join(' • ')}`;
+    traitsDisplay = traitsDisplay.trim() || 'None';
+
+    // Elimination timing and economy
+    const eliminated = wasEliminated(playerData, matchData.info);
+    const goldWarning = eliminated && playerData.gold_left >= HIGH_GOLD_LEFT ? ' ⚠️' : '';
+    const economyDisplay =
+        `**${eliminated ? 'Eliminated' : 'Won'}:** Stage ${formatStage(playerData.last_round)} | ` +
+        `**Time Alive:** ${formatTimeAlive(playerData.time_eliminated)} | ` +
+        `**Gold Left:** ${playerData.gold_left}${goldWarning}`;
+
+    const fields = [{ name: 'Items', value: itemsDisplay, inline: false }];
+    if (augmentNames.length > 0) {
+        fields.unshift({ name: 'Augments', value: augmentNames.join(' • '), inline: false });
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(PLACEMENT_COLORS[playerData.placement])
+        .setAuthor({ 
+            name: `${summoner.gameName}#${summoner.tagLine} [${getRegion(region).label}] - ${rankedDisplay}`, 
+            iconURL: await profileIconUrl(summoner.profileIconId)
+        })
+        .setTitle(`${placementText} - ${displayPlacement}${PLACEMENT_SUFFIX[displayPlacement]} Place`)
+        .setDescription(
+            `**Level:** ${playerData.level} | **Eliminations:** ${playerData.players_eliminated} | **Damage:** ${playerData.total_damage_to_players}\n` +
+            `${economyDisplay}\n\n` +
+            `**Traits:**\n${traitsDisplay}`
+        )
+        .addFields(fields)
+        .setTimestamp(matchData.info.game_datetime);
+
+    return embed;
+}
+
+function participantName(participant) {
+    return participant.riotIdGameName
+        ? `${participant.riotIdGameName}#${participant.riotIdTagline}`
+        : 'Unknown';
+}
+
+// Lobby overview embed: every participant by placement, the searched player in bold
+async function buildLobbyEmbed(matchData, summoner, region) {
+    const participants = [...matchData.info.participants].sort((a, b) => a.placement - b.placement);
+    const target = participants.find(p => p.puuid === summoner.puuid);
+
+    const lines = participants.map(p => {
+        const line = `${p.placement}${PLACEMENT_SUFFIX[p.placement]} - ${participantName(p)} (Level ${p.level})`;
+        return p.puuid === summoner.puuid ? `**${line}**` : line;
+    });
+
+    return new EmbedBuilder()
+        .setColor(target ? PLACEMENT_COLORS[target.placement] : '#1a1a1a')
+        .setAuthor({
+            name: `${summoner.gameName}#${summoner.tagLine} [${getRegion(region).label}]`,
+            iconURL: await profileIconUrl(summoner.profileIconId)
+        })
+        .setTitle('Lobby Overview')
+        .setDescription(lines.join('\n'))
+        .setTimestamp(matchData.info.game_datetime);
+}
+
+async function generateMatchCanvas(playerData, matchData, theme) {
+    const startTime = Date.now();
+    const canvas = Canvas.createCanvas(700, 400);
+    const ctx = canvas.getContext('2d');
+
+    // Background (cached), undimmed behind the board
+    await drawBackground(ctx, theme, 700, 400, 0);
+
+    // Grid positions
+    const positions = [
+        [5, 105], [145, 105], [285, 105], [425, 105], [565, 105],
+        [5, 255], [145, 255], [285, 255], [425, 255], [565, 255]
+    ];
+
+    const unitCount = Math.min(playerData.units.length, 10);
+    
+    // Pre-load all champion images for this match
+    const championPromises = playerData.units.slice(0, unitCount).map(async (unit, i) => {
+        let champImage = null;
+        for (const url of championSplashUrls(unit.character_id, matchData.info)) {
+            champImage = await loadImageWithCache(url);
+            if (champImage) break;
+        }
+        
+        // Resolve up to 3 item icons for this unit
+        const items = await Promise.all((unit.itemNames || []).slice(0, 3).map(async (apiName) => {
+            const item = await getItem(apiName);
+            const icon = item.iconUrl ? await loadImageWithCache(item.iconUrl) : null;
+            return { name: item.name, icon };
+        }));
+        
+        const champion = await getChampion(unit.character_id);
+        
+        return { index: i, unit, champion, champImage, items };
+    });
+    
+    const championResults = await Promise.allSettled(championPromises);
+    
+    // Load augment icons
+    const augments = await Promise.all((playerData.augments || []).map(async (apiName) => {
+        const augment = await getAugment(apiName);
+        const icon = augment.iconUrl ? await loadImageWithCache(augment.iconUrl) : null;
+        return { name: augment.name, icon };
+    }));
+
+    // Load active trait icons, strongest breakpoint first
+    const traits = await Promise.all(playerData.traits
+        .filter(t => t.style > 0)
+        .sort((a, b) => b.style - a.style || b.num_units - a.num_units)
+        .slice(0, 12)
+        .map(async (t) => {
+            const trait = await getTrait(t.name);
+            const icon = trait.iconUrl ? await loadImageWithCache(trait.iconUrl) : null;
+            return { ...t, displayName: trait.name, icon };
+        }));
+
+    // Trait badges across the top
+    traits.forEach((trait, t) => drawTraitBadge(ctx, trait, 5 + t * 57, 5, theme));
+
+    // Draw all champions
+    for (const result of championResults) {
+        if (result.status !== 'fulfilled' || !result.value) continue;
+        
+        const { index, unit, champion, champImage, items } = result.value;
+        const [x, y] = positions[index];
+
+        // Draw unit box
+        ctx.strokeStyle = theme.outline;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, 130, 140);
+
+        if (champImage) {
+            ctx.drawImage(champImage, x, y, 130, 140);
+        } else {
+            // Fallback placeholder
+            ctx.fillStyle = theme.tile;
+            ctx.fillRect(x, y, 130, 140);
+            ctx.fillStyle = theme.text;
+            ctx.font = font(14, 'bold');
+            ctx.textAlign = 'center';
+            
+            const displayName = champion.name;
+            const words = displayName.split(' ');
+            if (words.length > 1) {
+                ctx.fillText(words[0], x + 65, y + 60);
+                ctx.fillText(words[1], x + 65, y + 80);
+            } else {
+                ctx.fillText(displayName.slice(0, 12), x + 65, y + 70);
+            }
+            
+            ctx.textAlign = 'left';
+        }
+
+        // Draw items above the stars
+        const itemSize = 24;
+        const itemStartX = x + (130 - (items.length * (itemSize + 2) - 2)) / 2;
+        
+        items.forEach((item, k) => {
+            const itemX = itemStartX + k * (itemSize + 2);
+            const itemY = y + 89;
+            
+            drawIconTile(ctx, item.icon, item.name, itemX, itemY, itemSize, theme);
+        });
+
+        // Draw stars (cached)
+        if (unit.tier > 1) {
+            const starUrl = TIER_STARS[unit.tier];
+            if (starUrl) {
+                const starImage = await loadImageWithCache(starUrl, unit.tier === 3 ? 'goldStar' : 'silverStar');
+                if (starImage) {
+                    const starCount = unit.tier;
+                    const startX = x + (130 - starCount * 20) / 2;
+                    
+                    for (let s = 0; s < starCount; s++) {
+                        ctx.drawImage(starImage, startX + s * 20, y + 115, 20, 20);
+                    }
+                } else {
+                    // Text fallback
+                    ctx.fillStyle = '#FFD700';
+                    ctx.font = font(16, 'bold');
+                    ctx.textAlign = 'center';
+                    const stars = '★'.repeat(unit.tier);
+                    ctx.fillText(stars, x + 65, y + 130);
+                    ctx.textAlign = 'left';
+                }
+            }
+        }
+    }
+
+    // Augment strip above the unit grid (older matches have no augment data)
+    const augmentSize = 40;
+    for (let a = 0; a < augments.length; a++) {
+        const augmentX = 5 + a * (augmentSize + 6);
+        drawIconTile(ctx, augments[a].icon, augments[a].name, augmentX, 58, augmentSize, theme);
+    }
+
+    const generationTime = Date.now() - startTime;
+    logDebug(`Canvas generated in ${generationTime}ms`);
+    
+    return canvas;
+}
+
+// All eight boards on one image, one row per player ordered by placement
+async function generateLobbyCanvas(matchData, highlightPuuid, theme) {
+    const startTime = Date.now();
+    const width = 750;
+    const rowHeight = 60;
+    const height = 50 + rowHeight * 8 + 10;
+    const canvas = Canvas.createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    await drawBackground(ctx, theme, width, height, 0.6);
+
+    ctx.fillStyle = theme.text;
+    ctx.font = font(24, 'bold');
+    ctx.textAlign = 'left';
+    ctx.fillText('Lobby Overview', 10, 34);
+
+    const participants = [...matchData.info.participants].sort((a, b) => a.placement - b.placement);
+
+    // Load every board's champions up front
+    const boards = await Promise.all(participants.map(async (participant) => {
+        const units = await Promise.all(participant.units.slice(0, 10).map(async (unit) => {
+            let image = null;
+            for (const url of championSplashUrls(unit.character_id, matchData.info)) {
+                image = await loadImageWithCache(url);
+                if (image) break;
+            }
+            const champion = await getChampion(unit.character_id);
+            return { unit, image, name: champion.name };
+        }));
+        return { participant, units };
+    }));
+
+    const tileSize = 48;
+
+    boards.forEach(({ participant, units }, row) => {
+        const y = 50 + row * rowHeight;
+        const isTarget = participant.puuid === highlightPuuid;
+
+        ctx.fillStyle = isTarget ? 'rgba(255, 215, 0, 0.2)' : theme.panel;
+        ctx.fillRect(5, y, width - 10, rowHeight - 6);
+        if (isTarget) {
+            ctx.strokeStyle = '#FFD700';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(5, y, width - 10, rowHeight - 6);
+        }
+
+        // Placement, name and level
+        ctx.textAlign = 'left';
+        ctx.fillStyle = participant.placement <= 4 ? '#FFD700' : theme.mutedText;
+        ctx.font = font(22, 'bold');
+        ctx.fillText(`${participant.placement}`, 15, y + 35);
+
+        ctx.fillStyle = theme.text;
+        ctx.font = font(15, 'bold');
+        ctx.fillText(participantName(participant).slice(0, 20), 45, y + 24);
+        ctx.fillStyle = theme.mutedText;
+        ctx.font = font(13);
+        ctx.fillText(`Level ${participant.level}`, 45, y + 44);
+
+        // Units
+        units.forEach(({ unit, image, name }, u) => {
+            const x = 220 + u * (tileSize + 4);
+            const tileY = y + 3;
+
+            if (image) {
+                ctx.drawImage(image, x, tileY, tileSize, tileSize);
+            } else {
+                ctx.fillStyle = theme.tile;
+                ctx.fillRect(x, tileY, tileSize, tileSize);
+                ctx.fillStyle = theme.text;
+                ctx.font = font(11, 'bold');
+                ctx.textAlign = 'center';
+                ctx.fillText(name.slice(0, 6), x + tileSize / 2, tileY + 28);
+                ctx.textAlign = 'left';
+            }
+
+            ctx.strokeStyle = STAR_BORDER_COLORS[unit.tier] || STAR_BORDER_COLORS[1];
+            ctx.lineWidth = unit.tier >= 2 ? 3 : 1;
+            ctx.strokeRect(x, tileY, tileSize, tileSize);
+        });
+    });
+
+    logDebug(`Lobby canvas generated in ${Date.now() - startTime}ms`);
+
+    return canvas;
+}
+
+// Hexagonal trait badge (44px tall) with the unit count beside it
+function drawTraitBadge(ctx, trait, x, y, theme) {
+    const radius = 22;
+    const cx = x + 20;
+    const cy = y + radius;
+
+    ctx.beginPath();
+    for (let i = 0; i < 6; i++) {
+        const angle = Math.PI / 3 * i - Math.PI / 2;
+        const px = cx + radius * Math.cos(angle);
+        const py = cy + radius * Math.sin(angle);
+        if (i === 0) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+    }
+    ctx.closePath();
+
+    const color = trait.tier_total === 1 ? UNIQUE_TRAIT_COLOR : TRAIT_STYLE_COLORS[trait.style];
+    if (Array.isArray(color)) {
+        const gradient = ctx.createLinearGradient(cx - radius, cy - radius, cx + radius, cy + radius);
+        color.forEach((stop, i) => gradient.addColorStop(i / (color.length - 1), stop));
+        ctx.fillStyle = gradient;
+    } else {
+        ctx.fillStyle = color || '#2a2a2a';
+    }
+    ctx.fill();
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    if (trait.icon) {
+        ctx.drawImage(trait.icon, cx - 13, cy - 13, 26, 26);
+    } else {
+        ctx.fillStyle = '#000000';
+        ctx.font = font(14, 'bold');
+        ctx.textAlign = 'center';
+        const initials = trait.displayName.split(' ').map(w => w[0]).join('').slice(0, 2);
+        ctx.fillText(initials, cx, cy + 5);
+    }
+
+    ctx.fillStyle = theme.text;
+    ctx.font = font(14, 'bold');
+    ctx.textAlign = 'left';
+    ctx.fillText(String(trait.num_units), x + 43, y + 40);
+}
+
+// Draws an item/augment icon, or its initials on a plain tile when the icon is missing
+function drawIconTile(ctx, image, name, x, y, size, theme) {
+    if (image) {
+        ctx.drawImage(image, x, y, size, size);
+    } else {
+        ctx.fillStyle = theme.tile;
+        ctx.fillRect(x, y, size, size);
+        ctx.fillStyle = theme.text;
+        ctx.font = font(Math.round(size * 0.4), 'bold');
+        ctx.textAlign = 'center';
+        const initials = name.split(' ').map(w => w[0]).join('').slice(0, 2);
+        ctx.fillText(initials, x + size / 2, y + size * 0.65);
+        ctx.textAlign = 'left';
+    }
+    
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, size, size);
+}
+
+module.exports = {
+    TIER_STARS,
+    PLACEMENT_COLORS,
+    PLACEMENT_SUFFIX,
+    participantName,
+    buildMatchEmbed,
+    buildLobbyEmbed,
+    generateMatchCanvas,
+    generateLobbyCanvas
+};
@@ -0,0 +1,48 @@
+const path = require('path');
+const riotApi = require('./riot-api');
+const { dataPath, writeJsonAtomic, readJson } = require('./storage');
+
+// Finished matches never change, so they are stored forever, one file per match ID
+const MATCHES_DIR = dataPath('matches');
+
+function matchPath(matchId) {
+    // Match IDs look like NA1_5012345678, strip anything that could escape the directory
+    return path.join(MATCHES_DIR, `${matchId.replace(/[^A-Za-z0-9_-]/g, '')}.json`);
+}
+
+function getStoredMatch(matchId) {
+    return readJson(matchPath(matchId));
+}
+
+async function saveMatch(match) {
+    try {
+        await writeJsonAtomic(matchPath(match.metadata.match_id), match);
+    } catch (error) {
+        console.error(`Failed to store match ${match.metadata.match_id}:`, error.message);
+    }
+}
+
+// Returns matches in the same order as `matchIds`, reading from disk first and
+// only hitting the API for IDs not stored yet. Failed matches come back as null.
+async function loadMatches(region, matchIds) {
+    const matches = await Promise.all(matchIds.map(getStoredMatch));
+    const missing = matchIds.filter((_, i) => !matches[i]);
+
+    if (missing.length > 0) {
+        const fetched = await riotApi.getMatches(region, missing);
+
+        for (const match of fetched) {
+            if (!match) continue;
+            await saveMatch(match);
+            matches[matchIds.indexOf(match.metadata.match_id)] = match;
+        }
+    }
+
+    return matches;
+}
+
+module.exports = {
+    getStoredMatch,
+    saveMatch,
+    loadMatches
+};
@@ -0,0 +1,156 @@
+const riotApi = require('./riot-api');
+const links = require('./links');
+const guildConfig = require('./guild-config');
+
+// Cache for Riot ID -> account lookups
+const accountCache = new Map();
+const ACCOUNT_CACHE_TTL = 5 * 60 * 1000;
+
+// Recently looked-up Riot IDs (display form -> last used), for autocomplete
+const recentLookups = new Map();
+const MAX_RECENT_LOOKUPS = 100;
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+const INVALID_RIOT_ID = '❌ Invalid Riot ID format. Use: Name#TAG (e.g., Doublelift#NA1)';
+
+function parseRiotId(riotId) {
+    const [gameName, tagLine] = riotId.split('#');
+    if (!gameName || !tagLine) return null;
+    return { gameName, tagLine };
+}
+
+async function getAccount(region, gameName, tagLine) {
+    const cacheKey = `${gameName}#${tagLine}`.toLowerCase();
+    const cached = accountCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < ACCOUNT_CACHE_TTL) {
+        rememberLookup(cached.account);
+        return cached.account;
+    }
+
+    const account = await riotApi.getAccountByRiotId(region, gameName, tagLine);
+    if (account) {
+        accountCache.set(cacheKey, { account, timestamp: Date.now() });
+        rememberLookup(account);
+    }
+    return account;
+}
+
+function rememberLookup(account) {
+    const riotId = `${account.gameName}#${account.tagLine}`;
+
+    // Re-insert so Map order stays oldest -> newest
+    recentLookups.delete(riotId);
+    recentLookups.set(riotId, Date.now());
+
+    if (recentLookups.size > MAX_RECENT_LOOKUPS) {
+        recentLookups.delete(recentLookups.keys().next().value);
+    }
+}
+
+// Suggests Riot IDs for the focused option from accounts linked in this guild
+// and recent lookups. Prefix matches rank above substring matches, then by recency.
+async function autocompleteRiotId(interaction) {
+    const query = interaction.options.getFocused().toLowerCase();
+    const candidates = new Map();
+
+    function addCandidate(riotId, lastUsed) {
+        const key = riotId.toLowerCase();
+        const existing = candidates.get(key);
+        if (!existing || existing.lastUsed < lastUsed) {
+            candidates.set(key, { riotId, lastUsed });
+        }
+    }
+
+    if (interaction.guildId) {
+        for (const link of await links.getGuildLinks(interaction.guildId)) {
+            addCandidate(`${link.gameName}#${link.tagLine}`, link.linkedAt);
+        }
+    }
+
+    for (const [riotId, lastUsed] of recentLookups) {
+        addCandidate(riotId, lastUsed);
+    }
+
+    const choices = [...candidates.entries()]
+        .map(([key, candidate]) => ({ ...candidate, rank: key.startsWith(query) ? 0 : key.includes(query) ? 1 : 2 }))
+        .filter(c => c.rank < 2)
+        .sort((a, b) => a.rank - b.rank || b.lastUsed - a.lastUsed)
+        .slice(0, MAX_AUTOCOMPLETE_CHOICES)
+        .map(c => ({ name: c.riotId, value: c.riotId }));
+
+    await interaction.respond(choices);
+}
+
+// Shared `riotid` / `user` options, used as `.addStringOption(riotIdOption)`.
+// Commands taking more than one player pass their own name and description.
+function riotIdOption(option, name = 'riotid', description = 'Riot ID (e.g., Kuromi#NA1), defaults to your linked account') {
+    return option.setName(name)
+        .setDescription(description)
+        .setRequired(false)
+        .setAutocomplete(true);
+}
+
+function userOption(option) {
+    return option.setName('user')
+        .setDescription('Look up a Discord user\'s linked account')
+        .setRequired(false);
+}
+
+// Works out which player a command targets: an explicit `riotid`, a mentioned
+// `user`'s link, or the caller's own link. Returns { summoner, region } with
+// gameName/tagLine attached to the summoner, or { error } with a reply message.
+async function resolvePlayer(interaction, { riotIdOptionName = 'riotid', userOptionName = 'user' } = {}) {
+    const riotId = interaction.options.getString(riotIdOptionName);
+    const user = interaction.options.getUser(userOptionName);
+    let region = interaction.options.getString('region');
+    let account;
+
+    await links.rememberGuild(interaction.user.id, interaction.guildId);
+
+    if (riotId) {
+        const parsed = parseRiotId(riotId);
+        if (!parsed) return { error: INVALID_RIOT_ID };
+
+        region = region || (await guildConfig.getGuildConfig(interaction.guildId)).region;
+        account = await getAccount(region, parsed.gameName, parsed.tagLine);
+
+        if (!account) {
+            return { error: '❌ Riot ID not found. Check the format: Name#TAG (e.g., Doublelift#NA1)' };
+        }
+    } else {
+        const target = user || interaction.user;
+        const link = await links.getLink(target.id);
+
+        if (!link) {
+            return {
+                error: user
+                    ? `❌ ${user} hasn't linked a Riot account yet.`
+                    : '❌ Provide a Riot ID or link your account first with `/tft-link`.'
+            };
+        }
+
+        region = region || link.region;
+        account = { puuid: link.puuid, gameName: link.gameName, tagLine: link.tagLine };
+        rememberLookup(account);
+    }
+
+    const summoner = await riotApi.getSummonerByPuuid(region, account.puuid);
+    if (!summoner) {
+        return { error: '❌ Summoner not found for this region.' };
+    }
+
+    summoner.gameName = account.gameName;
+    summoner.tagLine = account.tagLine;
+
+    return { summoner, region };
+}
+
+module.exports = {
+    INVALID_RIOT_ID,
+    parseRiotId,
+    getAccount,
+    riotIdOption,
+    userOption,
+    resolvePlayer,
+    autocompleteRiotId
+};
@@ -0,0 +1,30 @@
+const riotApi = require('./riot-api');
+const { createJsonStore } = require('./storage');
+
+// Players change icons rarely, so a lookup is reused for a day
+const ICON_TTL = 24 * 60 * 60 * 1000;
+
+// puuid -> { iconId, fetchedAt }
+const iconStore = createJsonStore('profile-icons');
+
+// Profile icon ID for a player, from the store when it's recent enough.
+// Falls back to a stale value (or 0) when the API call fails.
+async function getProfileIconId(region, puuid) {
+    const stored = await iconStore.get(puuid);
+    if (stored && Date.now() - stored.fetchedAt < ICON_TTL) return stored.iconId;
+
+    try {
+        const summoner = await riotApi.getSummonerByPuuid(region, puuid);
+        if (summoner) {
+            await iconStore.set(puuid, { iconId: summoner.profileIconId, fetchedAt: Date.now() });
+            return summoner.profileIconId;
+        }
+    } catch (error) {
+        console.error('Failed to fetch profile icon:', error.message);
+    }
+    return stored ? stored.iconId : 0;
+}
+
+module.exports = {
+    getProfileIconId
+};
@@ -0,0 +1,83 @@
+// League queueType values returned by tft-league-v1
+const LEAGUE_QUEUES = {
+    RANKED_TFT: 'Ranked',
+    RANKED_TFT_DOUBLE_UP: 'Double Up',
+    RANKED_TFT_TURBO: 'Hyper Roll'
+};
+
+// queue_id values from tft-match-v1 / gameQueueConfigId from spectator-v5
+const MATCH_QUEUES = {
+    1090: { name: 'Normal', leagueQueue: 'RANKED_TFT' },
+    1100: { name: 'Ranked', leagueQueue: 'RANKED_TFT' },
+    1130: { name: 'Hyper Roll', leagueQueue: 'RANKED_TFT_TURBO' },
+    1160: { name: 'Double Up', leagueQueue: 'RANKED_TFT_DOUBLE_UP' },
+    1210: { name: 'Choncc\'s Treasure', leagueQueue: 'RANKED_TFT' }
+};
+
+// Ranked queues that have a ladder to climb. Double Up is scored by team
+// placement (1-4); Hyper Roll uses a rating instead of tier/rank/LP.
+const RANKED_QUEUES = {
+    ranked: { name: 'Ranked', queueId: 1100, leagueQueue: 'RANKED_TFT', teams: false, rated: false },
+    doubleup: { name: 'Double Up', queueId: 1160, leagueQueue: 'RANKED_TFT_DOUBLE_UP', teams: true, rated: false },
+    hyperroll: { name: 'Hyper Roll', queueId: 1130, leagueQueue: 'RANKED_TFT_TURBO', teams: false, rated: true }
+};
+
+function rankedQueueOption(option) {
+    return option.setName('queue')
+        .setDescription('Ranked queue (defaults to Double Up)')
+        .setRequired(false)
+        .addChoices(...Object.entries(RANKED_QUEUES).map(([value, queue]) => ({ name: queue.name, value })));
+}
+
+// Match filters for /tft-stats, by queue_id or tft_game_type. Double Up is
+// ranked by team, so its placements are normalized to 1-4.
+const QUEUE_FILTERS = {
+    ranked: { name: 'Ranked', queueIds: [1100], leagueQueue: 'RANKED_TFT' },
+    doubleup: { name: 'Double Up', gameType: 'pairs', teams: true, leagueQueue: 'RANKED_TFT_DOUBLE_UP' },
+    hyperroll: { name: 'Hyper Roll', gameType: 'turbo', leagueQueue: 'RANKED_TFT_TURBO' },
+    normal: { name: 'Normal', queueIds: [1090], leagueQueue: 'RANKED_TFT' }
+};
+
+function matchesQueueFilter(filter, matchInfo) {
+    if (filter.queueIds && filter.queueIds.includes(matchInfo.queue_id)) return true;
+    return Boolean(filter.gameType) && matchInfo.tft_game_type === filter.gameType;
+}
+
+function getMatchQueue(queueId) {
+    return MATCH_QUEUES[queueId] || { name: 'TFT', leagueQueue: 'RANKED_TFT' };
+}
+
+function getLeagueQueueName(queueType) {
+    return LEAGUE_QUEUES[queueType] || queueType;
+}
+
+// Hyper Roll entries carry a rated tier/rating instead of tier/rank/LP
+function formatLeagueEntry(entry) {
+    if (entry.ratedTier) {
+        return `${entry.ratedTier} - ${entry.ratedRating} Rating`;
+    }
+    return `${entry.tier} ${entry.rank} - ${entry.leaguePoints} LP`;
+}
+
+// Rank display for one league queue. League entries come back in no fixed order,
+// so never take the first one blindly: fall back to another queue only with its
+// name attached.
+function pickRank(entries, leagueQueue = 'RANKED_TFT') {
+    const entry = entries.find(e => e.queueType === leagueQueue);
+    if (entry) return formatLeagueEntry(entry);
+    if (entries.length > 0) return `${formatLeagueEntry(entries[0])} (${getLeagueQueueName(entries[0].queueType)})`;
+    return 'Unranked';
+}
+
+module.exports = {
+    LEAGUE_QUEUES,
+    MATCH_QUEUES,
+    RANKED_QUEUES,
+    rankedQueueOption,
+    QUEUE_FILTERS,
+    matchesQueueFilter,
+    getMatchQueue,
+    getLeagueQueueName,
+    formatLeagueEntry,
+    pickRank
+};
@@ -0,0 +1,69 @@
+// Rank tier values for LP calculation
+const RANK_TIERS = {
+    'IRON': { base: 0, divisions: { 'IV': 0, 'III': 100, 'II': 200, 'I': 300 } },
+    'BRONZE': { base: 400, divisions: { 'IV': 0, 'III': 100, 'II': 200, 'I': 300 } },
+    'SILVER': { base: 800, divisions: { 'IV': 0, 'III': 100, 'II': 200, 'I': 300 } },
+    'GOLD': { base: 1200, divisions: { 'IV': 0, 'III': 100, 'II': 200, 'I': 300 } },
+    'PLATINUM': { base: 1600, divisions: { 'IV': 0, 'III': 100, 'II': 200, 'I': 300 } },
+    'EMERALD': { base: 2000, divisions: { 'IV': 0, 'III': 100, 'II': 200, 'I': 300 } },
+    'DIAMOND': { base: 2400, divisions: { 'IV': 0, 'III': 100, 'II': 200, 'I': 300 } },
+    'MASTER': { base: 2800, divisions: { 'I': 0 } },
+    'GRANDMASTER': { base: 2900, divisions: { 'I': 0 } },
+    'CHALLENGER': { base: 3000, divisions: { 'I': 0 } }
+};
+
+function calculateTotalLP(tier, rank, lp) {
+    const tierData = RANK_TIERS[tier];
+    if (!tierData) return 0;
+    
+    const divisionLP = tierData.divisions[rank] || 0;
+    return tierData.base + divisionLP + lp;
+}
+
+function getTierFromTotalLP(totalLP) {
+    for (const [tier, data] of Object.entries(RANK_TIERS).reverse()) {
+        if (totalLP >= data.base) {
+            const lpInTier = totalLP - data.base;
+            const divisions = Object.entries(data.divisions).reverse();
+            
+            for (const [division, divLP] of divisions) {
+                if (lpInTier >= divLP) {
+                    const lp = lpInTier - divLP;
+                    return { tier, rank: division, lp: Math.min(lp, 99) };
+                }
+            }
+        }
+    }
+    return { tier: 'IRON', rank: 'IV', lp: 0 };
+}
+
+// Hyper Roll rating thresholds (ratedTier values from tft-league-v1)
+const HYPER_ROLL_TIERS = [
+    { tier: 'GRAY', name: 'Gray', min: 0 },
+    { tier: 'GREEN', name: 'Green', min: 1400 },
+    { tier: 'BLUE', name: 'Blue', min: 2600 },
+    { tier: 'PURPLE', name: 'Purple', min: 3400 },
+    { tier: 'ORANGE', name: 'Hyper', min: 4200 }
+];
+
+function getRatedTier(rating) {
+    for (let i = HYPER_ROLL_TIERS.length - 1; i > 0; i--) {
+        if (rating >= HYPER_ROLL_TIERS[i].min) return HYPER_ROLL_TIERS[i];
+    }
+    return HYPER_ROLL_TIERS[0];
+}
+
+// Comparable value for any league entry: rating for Hyper Roll, total LP otherwise
+function getEntryValue(entry) {
+    if (entry.ratedRating !== undefined) return entry.ratedRating;
+    return calculateTotalLP(entry.tier, entry.rank, entry.leaguePoints);
+}
+
+module.exports = {
+    RANK_TIERS,
+    calculateTotalLP,
+    getTierFromTotalLP,
+    HYPER_ROLL_TIERS,
+    getRatedTier,
+    getEntryValue
+};
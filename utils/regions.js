@@ -0,0 +1,57 @@
+// Platform routing values (summoner/league/spectator) mapped to the
+// regional routing cluster used by the match API, and the cluster the
+// account API should be queried through (account-v1 has no SEA cluster)
+const REGIONS = {
+    na1: { label: 'NA', platform: 'na1', cluster: 'americas', accountCluster: 'americas' },
+    br1: { label: 'BR', platform: 'br1', cluster: 'americas', accountCluster: 'americas' },
+    la1: { label: 'LAN', platform: 'la1', cluster: 'americas', accountCluster: 'americas' },
+    la2: { label: 'LAS', platform: 'la2', cluster: 'americas', accountCluster: 'americas' },
+    euw1: { label: 'EUW', platform: 'euw1', cluster: 'europe', accountCluster: 'europe' },
+    eun1: { label: 'EUNE', platform: 'eun1', cluster: 'europe', accountCluster: 'europe' },
+    tr1: { label: 'TR', platform: 'tr1', cluster: 'europe', accountCluster: 'europe' },
+    ru: { label: 'RU', platform: 'ru', cluster: 'europe', accountCluster: 'europe' },
+    kr: { label: 'KR', platform: 'kr', cluster: 'asia', accountCluster: 'asia' },
+    jp1: { label: 'JP', platform: 'jp1', cluster: 'asia', accountCluster: 'asia' },
+    oc1: { label: 'OCE', platform: 'oc1', cluster: 'sea', accountCluster: 'asia' },
+    sg2: { label: 'SG', platform: 'sg2', cluster: 'sea', accountCluster: 'asia' },
+    tw2: { label: 'TW', platform: 'tw2', cluster: 'sea', accountCluster: 'asia' },
+    vn2: { label: 'VN', platform: 'vn2', cluster: 'sea', accountCluster: 'asia' }
+};
+
+const DEFAULT_REGION = 'na1';
+
+function getRegion(key) {
+    return REGIONS[key] || REGIONS[DEFAULT_REGION];
+}
+
+function platformHost(region) {
+    return `https://${getRegion(region).platform}.api.riotgames.com`;
+}
+
+function clusterHost(region) {
+    return `https://${getRegion(region).cluster}.api.riotgames.com`;
+}
+
+function accountHost(region) {
+    return `https://${getRegion(region).accountCluster}.api.riotgames.com`;
+}
+
+// Shared `region` option, used as `.addStringOption(regionOption)`
+function regionOption(option) {
+    return option.setName('region')
+        .setDescription('Server region (defaults to this server\'s region, otherwise NA)')
+        .setRequired(false)
+        .addChoices(
+            ...Object.entries(REGIONS).map(([value, region]) => ({ name: region.label, value }))
+        );
+}
+
+module.exports = {
+    REGIONS,
+    DEFAULT_REGION,
+    getRegion,
+    platformHost,
+    clusterHost,
+    accountHost,
+    regionOption
+};
@@ -0,0 +1,243 @@
+const path = require('path');
+const Canvas = require('@napi-rs/canvas');
+const { GlobalFonts } = require('@napi-rs/canvas');
+const guildConfig = require('./guild-config');
+const { getAsset, downloadUserImage } = require('./asset-cache');
+const { logDebug } = require('./debug');
+
+// Fonts ship with the bot (dejavu-fonts-ttf) so cards look the same on every host
+const FONT_FAMILY = 'DejaVu Sans';
+const FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+
+for (const file of ['DejaVuSans.ttf', 'DejaVuSans-Bold.ttf']) {
+    if (!GlobalFonts.registerFromPath(path.join(FONT_DIR, file), FONT_FAMILY)) {
+        console.error(`Failed to register font ${file}`);
+    }
+}
+
+const BRANDED_BACKGROUND = 'https://i.imgur.com/aRoCXLa.png';
+
+// Named palettes. `background` is drawn under a black dimming layer; themes
+// without one get a flat `fill`. Placement, tier and trait colors stay the same
+// in every theme since they carry meaning.
+const DARK_PALETTE = {
+    fill: '#1a1a1a',
+    text: '#ffffff',
+    mutedText: '#d4d4d4',
+    panel: 'rgba(255, 255, 255, 0.08)',
+    panelAlt: 'rgba(255, 255, 255, 0.04)',
+    grid: 'rgba(255, 255, 255, 0.1)',
+    tile: '#2a2a2a',
+    outline: '#ffffff'
+};
+
+const THEMES = {
+    dark: {
+        name: 'Dark',
+        background: BRANDED_BACKGROUND,
+        ...DARK_PALETTE
+    },
+    light: {
+        name: 'Light',
+        background: null,
+        fill: '#f2f3f5',
+        text: '#111111',
+        mutedText: '#4a4a4a',
+        panel: 'rgba(0, 0, 0, 0.07)',
+        panelAlt: 'rgba(0, 0, 0, 0.035)',
+        grid: 'rgba(0, 0, 0, 0.15)',
+        tile: '#d9dbe0',
+        outline: '#333333'
+    },
+    'high-contrast': {
+        name: 'High Contrast',
+        background: null,
+        fill: '#000000',
+        text: '#ffffff',
+        mutedText: '#ffffff',
+        panel: 'rgba(255, 255, 255, 0.18)',
+        panelAlt: 'rgba(255, 255, 255, 0.1)',
+        grid: 'rgba(255, 255, 255, 0.45)',
+        tile: '#000000',
+        outline: '#ffffff'
+    },
+    // Dark palette over the server's own background from /tft-config
+    custom: {
+        name: 'Custom Background',
+        background: BRANDED_BACKGROUND,
+        ...DARK_PALETTE
+    }
+};
+
+const DEFAULT_THEME = 'dark';
+
+// Decoded images by URL, least recently used first. Bounded so a long-running
+// bot doesn't keep every splash it has ever drawn; the bytes stay on disk.
+const imageCache = new Map();
+const MAX_CACHED_IMAGES = 300;
+
+// Decoded user-supplied images (custom backgrounds) by URL, as { image, expiresAt }.
+// They can change under the same URL, so each is refetched after USER_IMAGE_TTL.
+// A failed fetch keeps the old image (or null) for USER_IMAGE_RETRY_DELAY so a
+// dead host doesn't stall every render on a download.
+const userImages = new Map();
+const userImagesInFlight = new Map();
+const USER_IMAGE_TTL = 60 * 60 * 1000;
+const USER_IMAGE_RETRY_DELAY = 5 * 60 * 1000;
+const MAX_USER_IMAGES = 50;
+
+// Bundled art drawn when an asset is neither cached on disk nor downloadable
+const PLACEHOLDER_DIR = path.join(__dirname, '..', 'images', 'placeholders');
+const PLACEHOLDERS = {
+    background: 'background.png',
+    profileIcon: 'profile-icon.png',
+    silverStar: 'silver-star.png',
+    goldStar: 'gold-star.png'
+};
+
+const placeholderImages = new Map();
+
+function loadPlaceholder(name) {
+    if (!placeholderImages.has(name)) {
+        placeholderImages.set(name, Canvas.loadImage(path.join(PLACEHOLDER_DIR, PLACEHOLDERS[name])).catch(error => {
+            console.error(`Failed to load placeholder ${name}:`, error.message);
+            return null;
+        }));
+    }
+    return placeholderImages.get(name);
+}
+
+// Image for a URL via the disk-backed asset cache. Falls back to the named
+// placeholder (see PLACEHOLDERS) or null when the asset can't be had.
+async function loadImageWithCache(url, placeholder = null) {
+    const cached = imageCache.get(url);
+    if (cached) {
+        // Re-insert so Map order stays least -> most recently used
+        imageCache.delete(url);
+        imageCache.set(url, cached);
+        return cached;
+    }
+
+    let image = null;
+    try {
+        const data = await getAsset(url);
+        if (data) image = await Canvas.loadImage(data);
+    } catch (error) {
+        logDebug(`Failed to load image ${url}:`, error.message);
+    }
+
+    if (!image) {
+        return placeholder ? loadPlaceholder(placeholder) : null;
+    }
+
+    imageCache.set(url, image);
+    if (imageCache.size > MAX_CACHED_IMAGES) {
+        imageCache.delete(imageCache.keys().next().value);
+    }
+    return image;
+}
+
+function setUserImage(url, image, ttl) {
+    userImages.delete(url);
+    userImages.set(url, { image, expiresAt: Date.now() + ttl });
+    if (userImages.size > MAX_USER_IMAGES) {
+        userImages.delete(userImages.keys().next().value);
+    }
+}
+
+// Image for a user-supplied URL, or null when it can't be loaded. `fresh`
+// skips the cache, for checking a URL before it's saved.
+function loadUserImage(url, { fresh = false } = {}) {
+    const cached = userImages.get(url);
+    if (!fresh && cached && Date.now() < cached.expiresAt) return Promise.resolve(cached.image);
+    if (userImagesInFlight.has(url)) return userImagesInFlight.get(url);
+
+    const promise = downloadUserImage(url)
+        .then(data => Canvas.loadImage(data))
+        .then(image => {
+            setUserImage(url, image, USER_IMAGE_TTL);
+            return image;
+        })
+        .catch(error => {
+            logDebug(`Failed to load user image ${url}:`, error.message);
+            const image = cached ? cached.image : null;
+            setUserImage(url, image, USER_IMAGE_RETRY_DELAY);
+            return image;
+        })
+        .finally(() => userImagesInFlight.delete(url));
+
+    userImagesInFlight.set(url, promise);
+    return promise;
+}
+
+// The theme's background image, falling back to the placeholder
+function loadBackground(theme) {
+    if (!theme.background) return Promise.resolve(null);
+    return theme.customBackground
+        ? loadUserImage(theme.background).then(image => image || loadPlaceholder('background'))
+        : loadImageWithCache(theme.background, 'background');
+}
+
+// Canvas font string in the bundled family, e.g. font(14, 'bold')
+function font(size, weight = 'normal') {
+    return `${weight} ${size}px "${FONT_FAMILY}"`;
+}
+
+function getTheme(key, backgroundUrl = null) {
+    const theme = THEMES[key] || THEMES[DEFAULT_THEME];
+    if (key === 'custom' && backgroundUrl) {
+        return { ...theme, background: backgroundUrl, customBackground: true };
+    }
+    return theme;
+}
+
+// The server's theme from /tft-config (the default theme in DMs)
+async function getGuildTheme(guildId) {
+    const config = await guildConfig.getGuildConfig(guildId);
+    return getTheme(config.theme, config.backgroundUrl);
+}
+
+// Theme for an interaction: the `theme` option, else the server's setting
+async function resolveTheme(interaction) {
+    const config = await guildConfig.getGuildConfig(interaction.guildId);
+    return getTheme(interaction.options.getString('theme') || config.theme, config.backgroundUrl);
+}
+
+// Background image dimmed by `dim` (0 keeps it as-is), or the flat fill
+async function drawBackground(ctx, theme, width, height, dim = 0.7) {
+    const bg = await loadBackground(theme);
+    if (bg) {
+        ctx.drawImage(bg, 0, 0, width, height);
+        if (dim > 0) {
+            ctx.fillStyle = `rgba(0, 0, 0, ${dim})`;
+            ctx.fillRect(0, 0, width, height);
+        }
+    } else {
+        ctx.fillStyle = theme.fill;
+        ctx.fillRect(0, 0, width, height);
+    }
+}
+
+// Shared `theme` option, used as `.addStringOption(themeOption)`
+function themeOption(option) {
+    return option.setName('theme')
+        .setDescription('Card theme (defaults to this server\'s theme)')
+        .setRequired(false)
+        .addChoices(...Object.entries(THEMES).map(([value, theme]) => ({ name: theme.name, value })));
+}
+
+module.exports = {
+    FONT_FAMILY,
+    BRANDED_BACKGROUND,
+    THEMES,
+    DEFAULT_THEME,
+    loadImageWithCache,
+    loadUserImage,
+    loadBackground,
+    font,
+    getTheme,
+    getGuildTheme,
+    resolveTheme,
+    drawBackground,
+    themeOption
+};
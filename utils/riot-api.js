@@ -0,0 +1,217 @@
+const fetch = require('node-fetch');
+const { platformHost, clusterHost, accountHost } = require('./regions');
+
+// Defaults for a development/personal key, replaced by whatever the
+// X-App-Rate-Limit / X-Method-Rate-Limit headers report
+const DEFAULT_APP_LIMITS = '20:1,100:120';
+const MAX_RETRIES = 3;
+const BASE_BACKOFF = 500;
+
+// Matches fetched in parallel per command
+const MATCH_CONCURRENCY = 5;
+
+class RiotApiError extends Error {
+    constructor(status, url) {
+        super(`Riot API request failed with status ${status}`);
+        this.name = 'RiotApiError';
+        this.status = status;
+        this.url = url;
+    }
+}
+
+// Rate limit buckets, keyed by routing host (limits apply per region)
+const appBuckets = new Map();
+const methodBuckets = new Map();
+const blockedUntil = new Map();
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// "20:1,100:120" -> [{ limit: 20, windowMs: 1000 }, { limit: 100, windowMs: 120000 }]
+function parseLimits(header) {
+    return header.split(',').map(pair => {
+        const [limit, seconds] = pair.split(':').map(Number);
+        return { limit, windowMs: seconds * 1000, timestamps: [] };
+    }).filter(l => l.limit > 0 && l.windowMs > 0);
+}
+
+function updateBucket(buckets, key, header) {
+    if (!header) return;
+
+    const existing = buckets.get(key) || [];
+    const limits = parseLimits(header).map(limit => {
+        // Keep request history for windows we were already tracking
+        const previous = existing.find(l => l.windowMs === limit.windowMs);
+        if (previous) limit.timestamps = previous.timestamps;
+        return limit;
+    });
+    buckets.set(key, limits);
+}
+
+// How long until every limit has room for one more request
+function getWait(limits, now) {
+    let wait = 0;
+    for (const l of limits) {
+        l.timestamps = l.timestamps.filter(t => now - t < l.windowMs);
+        if (l.timestamps.length >= l.limit) {
+            wait = Math.max(wait, l.timestamps[0] + l.windowMs - now);
+        }
+    }
+    return wait;
+}
+
+async function acquire(host, methodKey) {
+    if (!appBuckets.has(host)) {
+        appBuckets.set(host, parseLimits(DEFAULT_APP_LIMITS));
+    }
+
+    for (;;) {
+        const now = Date.now();
+        const appLimits = appBuckets.get(host);
+        const methodLimits = methodBuckets.get(methodKey) || [];
+
+        const wait = Math.max(
+            getWait(appLimits, now),
+            getWait(methodLimits, now),
+            (blockedUntil.get(host) || 0) - now
+        );
+
+        if (wait <= 0) {
+            appLimits.forEach(l => l.timestamps.push(now));
+            methodLimits.forEach(l => l.timestamps.push(now));
+            return;
+        }
+
+        await sleep(wait + 10);
+    }
+}
+
+// Rate-limited GET returning parsed JSON, or null when the resource is 404
+async function request(host, path, method) {
+    const url = `${host}${path}`;
+    const methodKey = `${host}:${method}`;
+
+    for (let attempt = 0; ; attempt++) {
+        await acquire(host, methodKey);
+
+        let res;
+        try {
+            res = await fetch(url, {
+                headers: { 'X-Riot-Token': process.env.RIOT_API_KEY }
+            });
+        } catch (error) {
+            // Network failure, treat like a 5xx
+            if (attempt >= MAX_RETRIES) throw error;
+            await sleep(BASE_BACKOFF * 2 ** attempt);
+            continue;
+        }
+
+        updateBucket(appBuckets, host, res.headers.get('x-app-rate-limit'));
+        updateBucket(methodBuckets, methodKey, res.headers.get('x-method-rate-limit'));
+
+        if (res.ok) return res.json();
+        if (res.status === 404) return null;
+
+        if (res.status === 429 && attempt < MAX_RETRIES) {
+            const retryAfter = parseInt(res.headers.get('retry-after'), 10);
+            const delay = Number.isNaN(retryAfter) ? BASE_BACKOFF * 2 ** attempt : retryAfter * 1000;
+            console.warn(`[RIOT API] 429 on ${method}, retrying in ${delay}ms`);
+            blockedUntil.set(host, Date.now() + delay);
+            continue;
+        }
+
+        if (res.status >= 500 && attempt < MAX_RETRIES) {
+            await sleep(BASE_BACKOFF * 2 ** attempt);
+            continue;
+        }
+
+        throw new RiotApiError(res.status, url);
+    }
+}
+
+// Runs `fn` over `items` with at most `limit` in flight, preserving order.
+// `fn` should handle its own errors; a throw rejects the whole pool.
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    }
+
+    const workers = [];
+    for (let w = 0; w < Math.min(limit, items.length); w++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return results;
+}
+
+// Endpoints
+function getAccountByRiotId(region, gameName, tagLine) {
+    return request(
+        accountHost(region),
+        `/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`,
+        'account-v1.getByRiotId'
+    );
+}
+
+function getAccountByPuuid(region, puuid) {
+    return request(accountHost(region), `/riot/account/v1/accounts/by-puuid/${puuid}`, 'account-v1.getByPuuid');
+}
+
+function getSummonerByPuuid(region, puuid) {
+    return request(platformHost(region), `/tft/summoner/v1/summoners/by-puuid/${puuid}`, 'tft-summoner-v1.getByPuuid');
+}
+
+async function getLeagueEntries(region, puuid) {
+    return (await request(platformHost(region), `/tft/league/v1/by-puuid/${puuid}`, 'tft-league-v1.getByPuuid')) || [];
+}
+
+async function getMatchIds(region, puuid, count = 20) {
+    return (await request(
+        clusterHost(region),
+        `/tft/match/v1/matches/by-puuid/${puuid}/ids?count=${count}`,
+        'tft-match-v1.getMatchIdsByPuuid'
+    )) || [];
+}
+
+function getMatch(region, matchId) {
+    return request(clusterHost(region), `/tft/match/v1/matches/${matchId}`, 'tft-match-v1.getMatch');
+}
+
+// Returns null when the player isn't currently in a game
+function getActiveGame(region, puuid) {
+    return request(platformHost(region), `/lol/spectator/tft/v5/active-games/by-puuid/${puuid}`, 'tft-spectator-v5.getActiveGame');
+}
+
+// Fetches several matches through the concurrency pool; failed matches come back as null
+function getMatches(region, matchIds) {
+    return mapWithConcurrency(matchIds, MATCH_CONCURRENCY, async matchId => {
+        try {
+            return await getMatch(region, matchId);
+        } catch (error) {
+            console.error(`Failed to fetch match ${matchId}:`, error.message);
+            return null;
+        }
+    });
+}
+
+module.exports = {
+    RiotApiError,
+    MATCH_CONCURRENCY,
+    mapWithConcurrency,
+    getAccountByRiotId,
+    getAccountByPuuid,
+    getSummonerByPuuid,
+    getLeagueEntries,
+    getMatchIds,
+    getMatch,
+    getMatches,
+    getActiveGame
+};
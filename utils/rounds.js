@@ -0,0 +1,46 @@
+// Stage 1 has four rounds (1-1 to 1-4), every later stage has seven
+const STAGE_ONE_ROUNDS = 4;
+const ROUNDS_PER_STAGE = 7;
+
+// Unspent gold at or above this when eliminated (three interest breakpoints) is
+// worth calling out
+const HIGH_GOLD_LEFT = 30;
+
+// `last_round` from the match API counts rounds from the start of the game;
+// convert it to { stage, round }, e.g. 19 -> 4-1
+function roundToStage(lastRound) {
+    if (lastRound <= STAGE_ONE_ROUNDS) return { stage: 1, round: Math.max(lastRound, 1) };
+    const offset = lastRound - STAGE_ONE_ROUNDS - 1;
+    return {
+        stage: Math.floor(offset / ROUNDS_PER_STAGE) + 2,
+        round: (offset % ROUNDS_PER_STAGE) + 1
+    };
+}
+
+function formatStage(lastRound) {
+    const { stage, round } = roundToStage(Math.round(lastRound));
+    return `${stage}-${round}`;
+}
+
+// `time_eliminated` is in seconds, e.g. 1934.2 -> "32:14"
+function formatTimeAlive(seconds) {
+    const total = Math.round(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Whether the player was knocked out rather than winning the lobby; Double Up
+// placements count by team
+function wasEliminated(playerData, matchInfo) {
+    const placement = matchInfo.tft_game_type === 'pairs'
+        ? Math.ceil(playerData.placement / 2)
+        : playerData.placement;
+    return placement > 1;
+}
+
+module.exports = {
+    HIGH_GOLD_LEFT,
+    roundToStage,
+    formatStage,
+    formatTimeAlive,
+    wasEliminated
+};
@@ -0,0 +1,88 @@
+// Launch dates (UTC) used to describe when a set started. Which set a match
+// belongs to comes from the match itself (tft_set_number), so a missing entry
+// here only means the date isn't shown.
+const SET_CALENDAR = {
+    13: '2024-11-20',
+    14: '2025-04-02',
+    15: '2025-07-30',
+    16: '2025-12-03'
+};
+
+const CDRAGON_ROOT = 'https://raw.communitydragon.org';
+
+function getSetStart(setNumber) {
+    const date = SET_CALENDAR[setNumber];
+    return date ? new Date(`${date}T00:00:00Z`).getTime() : null;
+}
+
+// Latest calendar set launched by `at`, for matches that predate tft_set_number
+function getCalendarSet(at = Date.now()) {
+    const launched = Object.keys(SET_CALENDAR)
+        .map(Number)
+        .filter(number => getSetStart(number) <= at);
+    return launched.length > 0 ? Math.max(...launched) : null;
+}
+
+// Set metadata from a match's info block
+function getMatchSet(matchInfo) {
+    const number = matchInfo.tft_set_number || getCalendarSet(matchInfo.game_datetime);
+    return { number, start: getSetStart(number) };
+}
+
+// The set of the newest match in `matches` (any order, nulls allowed). Ranked
+// resets with each set, so this is what "current" means for a player's history.
+// Without matches it falls back to the calendar.
+function getCurrentSet(matches = []) {
+    const newest = matches
+        .filter(Boolean)
+        .reduce((latest, match) => (!latest || match.info.game_datetime > latest.info.game_datetime ? match : latest), null);
+    if (newest) return getMatchSet(newest.info);
+
+    const number = getCalendarSet();
+    return { number, start: getSetStart(number) };
+}
+
+// "Linux Version 15.24.728.6583 (Dec 10 2025/...) [PUBLIC]" -> "15.24"
+function getPatch(gameVersion) {
+    const match = /Version (\d+)\.(\d+)/.exec(gameVersion || '');
+    return match ? `${match[1]}.${match[2]}` : null;
+}
+
+// Candidate splash URLs for a unit, most specific first: the patch the match was
+// played on, then latest and PBE. Splashes are suffixed with the unit's set.
+function championSplashUrls(characterId, matchInfo) {
+    const champName = characterId.toLowerCase();
+    const file = `${champName}_square.tft_set${getMatchSet(matchInfo).number}.png`;
+    const patch = getPatch(matchInfo.game_version);
+
+    const urls = [];
+    if (patch) {
+        urls.push(`${CDRAGON_ROOT}/${patch}/game/assets/ux/tft/championsplashes/patching/${file}`);
+    }
+    urls.push(
+        `${CDRAGON_ROOT}/latest/game/assets/ux/tft/championsplashes/patching/${file}`,
+        `${CDRAGON_ROOT}/latest/game/assets/ux/tft/championsplashes/${file}`,
+        `${CDRAGON_ROOT}/pbe/game/assets/ux/tft/championsplashes/patching/${file}`
+    );
+    return urls;
+}
+
+// "Set 16 (launched Dec 3, 2025)", or just "Set 17" when the calendar
+// doesn't know its launch date yet
+function formatSet(set) {
+    if (!set.start) return `Set ${set.number}`;
+    const date = new Date(set.start).toLocaleDateString('en-US', {
+        month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+    });
+    return `Set ${set.number} (launched ${date})`;
+}
+
+module.exports = {
+    SET_CALENDAR,
+    getSetStart,
+    getCurrentSet,
+    getMatchSet,
+    getPatch,
+    championSplashUrls,
+    formatSet
+};
@@ -0,0 +1,188 @@
+const fetch = require('node-fetch');
+const { dataPath, writeJsonAtomic, readJson } = require('./storage');
+
+// CommunityDragon's TFT catalog (items, augments, traits and set data in one file)
+const CDRAGON_BASE = 'https://raw.communitydragon.org/latest';
+const CDRAGON_TFT_URL = `${CDRAGON_BASE}/cdragon/tft/en_us.json`;
+
+// Data Dragon serves profile icons; versions.json lists releases newest first
+const DDRAGON_BASE = 'https://ddragon.leagueoflegends.com';
+const DDRAGON_VERSIONS_URL = `${DDRAGON_BASE}/api/versions.json`;
+const FALLBACK_DDRAGON_VERSION = '15.24.1';
+
+const CATALOG_RETRY_DELAY = 5 * 60 * 1000;
+
+// Every embed waits on these, so a stalled CDN has to fail rather than hang.
+// The catalog is a large file, the version list a small one.
+const CATALOG_TIMEOUT = 30 * 1000;
+const VERSION_TIMEOUT = 10 * 1000;
+
+// Patches and new sets change both files, so a long-running bot refetches them
+const CATALOG_REFRESH_INTERVAL = 6 * 60 * 60 * 1000;
+
+// Last good copies, used when the CDNs can't be reached
+const CATALOG_CACHE_PATH = dataPath('static', 'tft-catalog.json');
+const VERSION_CACHE_PATH = dataPath('static', 'ddragon-version.json');
+
+// Asset paths in the catalog point at .tex/.dds files; CommunityDragon serves
+// the same path lowercased as .png
+function cdragonAssetUrl(assetPath) {
+    if (!assetPath) return null;
+    const png = assetPath.toLowerCase().replace(/\.(tex|dds)$/, '.png');
+    return `${CDRAGON_BASE}/game/${png}`;
+}
+
+// Fallback display name for an API ID, e.g. TFT_Item_InfinityEdge -> Infinity Edge,
+// TFT9_Augment_Commander_TeamingUp -> Commander Teaming Up, Set9_Bruiser -> Bruiser
+function cleanApiName(apiName) {
+    return apiName
+        .replace(/^(TFT|Set)\d*_(Item_|Augment_)?/, '')
+        .replace(/_/g, ' ')
+        .replace(/([a-z])([A-Z])/g, '$1 $2');
+}
+
+async function fetchCatalog() {
+    const res = await fetch(CDRAGON_TFT_URL, { timeout: CATALOG_TIMEOUT });
+    if (!res.ok) throw new Error(`CommunityDragon status: ${res.status}`);
+
+    const raw = await res.json();
+    const catalog = { items: {}, champions: {}, traits: {} };
+
+    for (const item of raw.items || []) {
+        catalog.items[item.apiName] = {
+            name: item.name || cleanApiName(item.apiName),
+            iconUrl: cdragonAssetUrl(item.icon)
+        };
+    }
+
+    // Every set is kept so matches from older sets still resolve
+    for (const set of Object.values(raw.sets || {})) {
+        for (const champion of set.champions || []) {
+            if (!champion.apiName) continue;
+            catalog.champions[champion.apiName] = {
+                name: champion.name || cleanApiName(champion.apiName),
+                cost: champion.cost || null,
+                iconUrl: cdragonAssetUrl(champion.squareIcon || champion.tileIcon || champion.icon)
+            };
+        }
+
+        for (const trait of set.traits || []) {
+            catalog.traits[trait.apiName] = {
+                name: trait.name || cleanApiName(trait.apiName),
+                iconUrl: cdragonAssetUrl(trait.icon)
+            };
+        }
+    }
+
+    await writeJsonAtomic(CATALOG_CACHE_PATH, catalog).catch(error => {
+        console.error('Failed to cache TFT static data:', error.message);
+    });
+
+    return catalog;
+}
+
+function toMaps(catalog) {
+    return {
+        items: new Map(Object.entries(catalog.items || {})),
+        champions: new Map(Object.entries(catalog.champions || {})),
+        traits: new Map(Object.entries(catalog.traits || {}))
+    };
+}
+
+// Shared value from `fetchFresh`, refetched in the background every
+// CATALOG_REFRESH_INTERVAL; callers keep getting the previous value until the new
+// one has loaded. When a fetch fails, `readFallback` covers the first load and
+// the next attempt waits CATALOG_RETRY_DELAY so an outage doesn't trigger a
+// download per lookup.
+function createRefreshingLoader(description, fetchFresh, readFallback) {
+    let current = null;
+    let refreshAt = 0;
+    let refreshing = false;
+
+    function onError(error) {
+        console.error(`Failed to ${description}:`, error.message);
+        refreshAt = Date.now() + CATALOG_RETRY_DELAY;
+    }
+
+    return function load() {
+        if (!current) {
+            refreshAt = Date.now() + CATALOG_REFRESH_INTERVAL;
+            current = fetchFresh().catch(error => {
+                onError(error);
+                return readFallback();
+            });
+        } else if (!refreshing && Date.now() >= refreshAt) {
+            refreshing = true;
+            fetchFresh()
+                .then(value => {
+                    current = Promise.resolve(value);
+                    refreshAt = Date.now() + CATALOG_REFRESH_INTERVAL;
+                })
+                .catch(onError)
+                .finally(() => { refreshing = false; });
+        }
+        return current;
+    };
+}
+
+// Falls back to the cached copy from the last successful load, or an empty catalog
+const loadCatalog = createRefreshingLoader(
+    'load TFT static data',
+    async () => toMaps(await fetchCatalog()),
+    async () => toMaps((await readJson(CATALOG_CACHE_PATH)) || {})
+);
+
+async function fetchDDragonVersion() {
+    const res = await fetch(DDRAGON_VERSIONS_URL, { timeout: VERSION_TIMEOUT });
+    if (!res.ok) throw new Error(`Data Dragon status: ${res.status}`);
+
+    const [version] = await res.json();
+    await writeJsonAtomic(VERSION_CACHE_PATH, { version }).catch(error => {
+        console.error('Failed to cache Data Dragon version:', error.message);
+    });
+    return version;
+}
+
+// Current Data Dragon release
+const getDDragonVersion = createRefreshingLoader(
+    'resolve Data Dragon version',
+    fetchDDragonVersion,
+    async () => {
+        const cached = await readJson(VERSION_CACHE_PATH);
+        return (cached && cached.version) || FALLBACK_DDRAGON_VERSION;
+    }
+);
+
+async function profileIconUrl(profileIconId) {
+    return `${DDRAGON_BASE}/cdn/${await getDDragonVersion()}/img/profileicon/${profileIconId}.png`;
+}
+
+async function getItem(apiName) {
+    const { items } = await loadCatalog();
+    return items.get(apiName) || { name: cleanApiName(apiName), iconUrl: null };
+}
+
+// Augments live in the same catalog list as items
+const getAugment = getItem;
+
+async function getChampion(apiName) {
+    const { champions } = await loadCatalog();
+    return champions.get(apiName) || { name: cleanApiName(apiName), cost: null, iconUrl: null };
+}
+
+async function getTrait(apiName) {
+    const { traits } = await loadCatalog();
+    return traits.get(apiName) || { name: cleanApiName(apiName), iconUrl: null };
+}
+
+module.exports = {
+    cdragonAssetUrl,
+    cleanApiName,
+    loadCatalog,
+    getDDragonVersion,
+    profileIconUrl,
+    getItem,
+    getAugment,
+    getChampion,
+    getTrait
+};
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+// Root directory for everything the bot persists between restarts
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function ensureDir(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+function dataPath(...segments) {
+    return path.join(DATA_DIR, ...segments);
+}
+
+// Bumped per write so concurrent writes to the same file never share a temp file
+let tmpCounter = 0;
+
+// Write to a temp file first so a crash mid-write never leaves a truncated file behind
+async function writeFileAtomic(filePath, data) {
+    ensureDir(path.dirname(filePath));
+    const tmpPath = `${filePath}.${process.pid}.${++tmpCounter}.tmp`;
+    await fs.promises.writeFile(tmpPath, data);
+    await fs.promises.rename(tmpPath, filePath);
+}
+
+function writeJsonAtomic(filePath, value) {
+    return writeFileAtomic(filePath, JSON.stringify(value));
+}
+
+async function readJson(filePath) {
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Failed to read ${filePath}:`, error.message);
+        }
+        return null;
+    }
+}
+
+// Small key/value store backed by a single JSON file in DATA_DIR.
+// Loaded lazily on first access, writes are serialized so they never interleave.
+function createJsonStore(name) {
+    const filePath = dataPath(`${name}.json`);
+    let loading = null;
+    let writeChain = Promise.resolve();
+
+    function load() {
+        if (!loading) {
+            loading = readJson(filePath).then(data => data || {});
+        }
+        return loading;
+    }
+
+    async function save() {
+        const data = await load();
+        writeChain = writeChain
+            .then(() => writeJsonAtomic(filePath, data))
+            .catch(error => console.error(`Failed to write ${filePath}:`, error.message));
+        return writeChain;
+    }
+
+    return {
+        async get(key) {
+            const data = await load();
+            return data[key] || null;
+        },
+
+        async set(key, value) {
+            const data = await load();
+            data[key] = value;
+            await save();
+            return value;
+        },
+
+        // Sets several keys with a single write
+        async setMany(values) {
+            const data = await load();
+            Object.assign(data, values);
+            await save();
+        },
+
+        async delete(key) {
+            const data = await load();
+            if (!(key in data)) return false;
+            delete data[key];
+            await save();
+            return true;
+        },
+
+        async entries() {
+            return Object.entries(await load());
+        }
+    };
+}
+
+module.exports = {
+    DATA_DIR,
+    ensureDir,
+    dataPath,
+    writeFileAtomic,
+    writeJsonAtomic,
+    readJson,
+    createJsonStore
+};
@@ -0,0 +1,222 @@
+const { AttachmentBuilder } = require('discord.js');
+const riotApi = require('./riot-api');
+const matchStore = require('./match-store');
+const lpHistory = require('./lp-history');
+const { createJsonStore } = require('./storage');
+const guildConfig = require('./guild-config');
+const { buildMatchEmbed, generateMatchCanvas } = require('./match-card');
+const { getGuildTheme } = require('./renderer');
+const { getMatchQueue, pickRank } = require('./queues');
+
+const POLL_INTERVAL = 3 * 60 * 1000;
+const RECENT_MATCH_COUNT = 5;
+const MAX_ANNOUNCED_PER_GUILD = 1000;
+const MAX_ANNOUNCE_ATTEMPTS = 5;
+
+// Guild ID -> { channelId, fallbackChannelId, players: { puuid: { gameName, tagLine, region } } }
+// `channelId` is only set by an explicit /tft-follow channel: and overrides the
+// /tft-config channel; `fallbackChannelId` is where /tft-follow was last used.
+const followStore = createJsonStore('follows');
+
+// Guild ID -> ["matchId:puuid", ...] already posted, survives restarts
+const announcedStore = createJsonStore('announced');
+
+// "guildId:matchId:puuid" -> failed posting attempts, retried on later polls
+// until MAX_ANNOUNCE_ATTEMPTS
+const announceFailures = new Map();
+
+let polling = false;
+
+async function getGuildFollows(guildId) {
+    const follows = await followStore.get(guildId);
+    if (!follows) return { channelId: null, fallbackChannelId: null, players: {} };
+
+    // Older entries saved whichever channel was used, not an explicit choice
+    if (!('fallbackChannelId' in follows)) {
+        return { ...follows, channelId: null, fallbackChannelId: follows.channelId };
+    }
+    return follows;
+}
+
+// Where a guild's matches are posted: an explicit /tft-follow channel, then the
+// /tft-config channel, then wherever /tft-follow was used
+async function getAnnounceChannelId(guildId, follows) {
+    const { channelId } = await guildConfig.getGuildConfig(guildId);
+    return follows.channelId || channelId || follows.fallbackChannelId;
+}
+
+// Drops an explicit /tft-follow channel so the /tft-config one takes effect
+async function clearChannelOverride(guildId) {
+    if (!(await followStore.get(guildId))) return;
+    const follows = await getGuildFollows(guildId);
+    await followStore.set(guildId, { ...follows, channelId: null });
+}
+
+async function markAnnounced(guildId, keys) {
+    const announced = (await announcedStore.get(guildId)) || [];
+    const merged = [...announced, ...keys.filter(k => !announced.includes(k))];
+    await announcedStore.set(guildId, merged.slice(-MAX_ANNOUNCED_PER_GUILD));
+}
+
+// Starts following a player in a guild. Their current recent matches are marked
+// as already announced so following someone doesn't replay old games.
+// `channels` is { channelId: explicit channel or null, fallbackChannelId }.
+async function follow(guildId, channels, summoner, region) {
+    const follows = await getGuildFollows(guildId);
+    const alreadyFollowing = Boolean(follows.players[summoner.puuid]);
+
+    // Fetched before saving anything, so a failure leaves no follow that would
+    // replay these games on the next poll
+    const matchIds = alreadyFollowing ? [] : await riotApi.getMatchIds(region, summoner.puuid, RECENT_MATCH_COUNT);
+
+    follows.channelId = channels.channelId || follows.channelId;
+    follows.fallbackChannelId = channels.fallbackChannelId;
+    follows.players[summoner.puuid] = {
+        gameName: summoner.gameName,
+        tagLine: summoner.tagLine,
+        region
+    };
+    await markAnnounced(guildId, matchIds.map(id => `${id}:${summoner.puuid}`));
+    await followStore.set(guildId, follows);
+
+    return !alreadyFollowing;
+}
+
+async function unfollow(guildId, puuid) {
+    const follows = await getGuildFollows(guildId);
+    if (!follows.players[puuid]) return false;
+
+    delete follows.players[puuid];
+    await followStore.set(guildId, follows);
+    return true;
+}
+
+async function announceMatch(client, channelId, matchData, player, puuid, rankedStats, theme) {
+    const playerData = matchData.info.participants.find(p => p.puuid === puuid);
+    if (!playerData) return;
+
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) {
+        throw new Error(`channel ${channelId} is unavailable`);
+    }
+
+    const summoner = await riotApi.getSummonerByPuuid(player.region, puuid);
+
+    // Rank in the queue the match was played in
+    const rankedDisplay = pickRank(rankedStats, getMatchQueue(matchData.info.queue_id).leagueQueue);
+
+    const profile = {
+        gameName: player.gameName,
+        tagLine: player.tagLine,
+        profileIconId: summoner ? summoner.profileIconId : 0
+    };
+
+    const canvas = await generateMatchCanvas(playerData, matchData, theme);
+    const attachment = new AttachmentBuilder(canvas.toBuffer('image/png'), { name: 'match.png' });
+    const embed = (await buildMatchEmbed(playerData, matchData, profile, player.region, rankedDisplay))
+        .setImage('attachment://match.png')
+        .setFooter({ text: 'Match finished' });
+
+    await channel.send({
+        content: `🎮 **${player.gameName}#${player.tagLine}** just finished a game!`,
+        embeds: [embed],
+        files: [attachment]
+    });
+}
+
+// One polling pass: fetch recent match IDs and league entries once per followed
+// player (which also snapshots their LP), then post every match a guild hasn't
+// seen yet, oldest first
+async function poll(client) {
+    const guilds = [];
+    for (const [guildId] of await followStore.entries()) {
+        const follows = await getGuildFollows(guildId);
+        const channelId = await getAnnounceChannelId(guildId, follows);
+        if (channelId) guilds.push([guildId, follows, channelId]);
+    }
+
+    // Dedupe players followed in more than one guild
+    const players = new Map();
+    for (const [, follows] of guilds) {
+        for (const [puuid, player] of Object.entries(follows.players)) {
+            players.set(puuid, player);
+        }
+    }
+
+    const recent = new Map();
+    for (const [puuid, player] of players) {
+        try {
+            recent.set(puuid, {
+                matchIds: await riotApi.getMatchIds(player.region, puuid, RECENT_MATCH_COUNT),
+                rankedStats: await lpHistory.fetchEntries(player.region, puuid)
+            });
+        } catch (error) {
+            console.error(`Tracker failed to fetch matches for ${player.gameName}#${player.tagLine}:`, error.message);
+        }
+    }
+
+    for (const [guildId, follows, channelId] of guilds) {
+        const announced = new Set((await announcedStore.get(guildId)) || []);
+        const theme = await getGuildTheme(guildId);
+
+        for (const [puuid, player] of Object.entries(follows.players)) {
+            const { matchIds = [], rankedStats = [] } = recent.get(puuid) || {};
+            const newIds = matchIds
+                .filter(id => !announced.has(`${id}:${puuid}`))
+                .reverse();
+
+            if (newIds.length === 0) continue;
+
+            const matches = await matchStore.loadMatches(player.region, newIds);
+
+            for (let i = 0; i < newIds.length; i++) {
+                const key = `${newIds[i]}:${puuid}`;
+                const failureKey = `${guildId}:${key}`;
+
+                try {
+                    if (!matches[i]) throw new Error('match could not be loaded');
+                    await announceMatch(client, channelId, matches[i], player, puuid, rankedStats, theme);
+                } catch (error) {
+                    // Leave it unmarked so the next poll tries again, but give up
+                    // eventually so a broken match isn't retried forever
+                    const attempts = (announceFailures.get(failureKey) || 0) + 1;
+                    if (attempts < MAX_ANNOUNCE_ATTEMPTS) {
+                        announceFailures.set(failureKey, attempts);
+                        console.error(`Tracker failed to announce match ${newIds[i]} (attempt ${attempts} of ${MAX_ANNOUNCE_ATTEMPTS}):`, error.message);
+                        continue;
+                    }
+                    console.error(`Tracker giving up on match ${newIds[i]} after ${attempts} attempts:`, error);
+                }
+
+                announceFailures.delete(failureKey);
+                await markAnnounced(guildId, [key]);
+            }
+        }
+    }
+}
+
+function startTracker(client) {
+    setInterval(async () => {
+        if (polling) return;
+        polling = true;
+
+        try {
+            await poll(client);
+        } catch (error) {
+            console.error('Match tracker error:', error);
+        } finally {
+            polling = false;
+        }
+    }, POLL_INTERVAL);
+
+    console.log(`🛰️ Match tracker polling every ${POLL_INTERVAL / 60000} minutes`);
+}
+
+module.exports = {
+    getGuildFollows,
+    getAnnounceChannelId,
+    clearChannelOverride,
+    follow,
+    unfollow,
+    startTracker
+};